@@ -1,4 +1,8 @@
 // Oracle Instance Creator Dashboard JavaScript
+
+// SUCCESS_PATTERN_DATA keeps only the newest entries - record_*_pattern in scripts/utils.sh trims it with .[-50:]
+const SUCCESS_PATTERN_LIMIT = 50;
+
 class OracleInstanceDashboard {
     constructor() {
         this.config = {
@@ -6,43 +10,243 @@ class OracleInstanceDashboard {
             repo: '',
             token: '',
             autoRefresh: true,
-            refreshInterval: 30000
+            refreshInterval: 30000,
+            planLimit: '2000',
+            // owner/repo/token above always mirror the active entry
+            repositories: [],
+            activeRepo: '',
+            // Where tokens live: 'memory', 'session' or 'encrypted' - never plain localStorage
+            tokenStorage: 'session',
+            // Thresholds: consecutive failed runs, hours without a run, percent of the plan limit
+            alertRules: {
+                'instance-created': { enabled: true },
+                'failed-runs': { enabled: true, threshold: 3 },
+                'breaker-open': { enabled: true },
+                'no-runs': { enabled: true, threshold: 6 },
+                'usage': { enabled: true, threshold: 80 }
+            }
+        };
+        
+        this.tokenVault = {
+            key: null,
+            salt: null,
+            iterations: 310000
+        };
+        
+        this.workflowFile = 'infrastructure-deployment.yml';
+        this.schedule = null;
+        this.usage = null;
+        this.usageView = 'monthly';
+        // Billing endpoints that answered 403/404 for the current token - not asked again this session
+        this.billingUnavailable = new Set();
+        this.repoSummaries = new Map();
+        this.regionConfig = null;
+        this.detectedRegion = null;
+        this.regionSelectorKey = null;
+        this.scheduleBuilder = {
+            tiers: [],
+            activeTier: 0,
+            timezone: 'utc',
+            seeded: false
+        };
+        // Classified SUCCESS_PATTERN_DATA shared by the stat card, trend chart, heatmap and AD panel
+        this.successModel = null;
+        this.successHeatmap = {
+            timezone: 'utc'
+        };
+        // Imported diagnostic bundle - when set, every read is served from it and writes are refused
+        this.snapshot = null;
+        this.snapshotVariables = ['INSTANCE_CREATED', 'INSTANCE_CREATED_INFO', 'SUCCESS_PATTERN_DATA', 'AD_FAILURE_DATA'];
+        this.runsView = {
+            page: 1,
+            perPage: 10,
+            totalCount: 0,
+            filters: { conclusion: '', event: '', from: '', to: '' },
+            runs: [],
+            expanded: new Set(),
+            jobs: new Map()
+        };
+        // Mirrors MAX_CONSECUTIVE_FAILURES / CIRCUIT_BREAKER_RESET_HOURS in scripts/circuit-breaker.sh
+        this.circuitBreaker = {
+            maxFailures: 3,
+            resetHours: 24,
+            records: [],
+            countdownTimer: null
+        };
+        this.performance = {
+            view: 'execution',
+            runs: [],
+            thresholds: null,
+            thresholdsFetchedAt: 0
+        };
+        this.instance = {
+            created: false,
+            info: null,
+            // How long the hunt took, keyed by INSTANCE_CREATED_INFO.timestamp
+            history: null
+        };
+        this.alertRuleTypes = [
+            { id: 'instance-created', label: 'Instance created', description: 'INSTANCE_CREATED was set - the hunt is over' },
+            { id: 'failed-runs', label: 'Consecutive failed runs', unit: 'runs', min: 1, description: 'Genuine failures in a row; skipped and cancelled runs are ignored' },
+            { id: 'breaker-open', label: 'Circuit breaker opened', description: 'An availability domain reached the failure limit and is being skipped' },
+            { id: 'no-runs', label: 'No run for', unit: 'hours', min: 1, description: 'The schedule may have been disabled - GitHub turns off cron in repositories without activity for 60 days' },
+            { id: 'usage', label: 'Actions usage above', unit: '%', min: 1, description: 'Minutes used this month against the plan limit' }
+        ];
+        // Fired alert keys and history for the active repository, persisted per repository
+        this.alerts = {
+            state: null
+        };
+        // Follows the reset_success_state run started from the "Instance Lost?" flow
+        this.rearm = {
+            stage: null,
+            dispatchedAt: 0,
+            run: null,
+            error: null,
+            timer: null
+        };
+        // Manual dispatch - the inputs schema of the selected ref, and the run being looked up after dispatching
+        this.dispatch = {
+            inputs: null,
+            dispatchedAt: 0,
+            lost: false,
+            timer: null
+        };
+        // Active runs followed job by job; polled quickly only while one is running
+        this.runTracker = {
+            runs: new Map(),
+            finished: new Set(),
+            timer: null,
+            ticker: null
+        };
+        // Log-based cause of each completed run; the chart splits expected misses from real breakage
+        this.failures = {
+            runs: [],
+            byId: new Map(),
+            categories: {
+                expected: { label: 'Working as intended', color: '#f59e0b' },
+                transient: { label: 'Transient', color: '#8b5cf6' },
+                breakage: { label: 'Breakage', color: '#ef4444' }
+            }
+        };
+        // Mirrors get_error_type() in scripts/utils.sh - same order, same patterns, first match wins.
+        // `summary` matches what launch-instance.sh (per AD) and launch-parallel.sh (per run) log for that type.
+        this.errorRules = [
+            { type: 'USER_LIMIT_REACHED', group: 'limit', category: 'expected', label: 'LimitExceeded (free tier cores)',
+                pattern: /limitexceeded.*core.*count|standard.*micro.*core.*count|"code".*"LimitExceeded".*core.*count/i, summary: /User limit reached\b.*\bin AD|User limit\(s\) reached/ },
+            { type: 'ORACLE_CAPACITY_UNAVAILABLE', group: 'capacity', category: 'expected', label: 'Out of host capacity',
+                pattern: /out of host capacity|insufficient.*host.*capacity|host.*capacity.*unavailable|"code".*"InternalError".*host.*capacity/i, summary: /Oracle capacity unavailable\b.*\bin AD/ },
+            { type: 'LIMIT_EXCEEDED', group: 'limit', category: 'expected', label: 'LimitExceeded',
+                pattern: /limitexceeded|"code".*"LimitExceeded"/i, summary: /LimitExceeded error\b.*\bin AD/ },
+            { type: 'RATE_LIMIT', group: 'rate_limited', category: 'expected', label: '429 TooManyRequests',
+                pattern: /too.*many.*requests|rate.*limit|throttle|429|TooManyRequests|"code".*"TooManyRequests"|"status".*429|'status':.*429|'code':.*'TooManyRequests'/i, summary: /Rate limit detected\b.*\bin AD|Oracle API rate limits encountered/ },
+            { type: 'CAPACITY', group: 'capacity', category: 'expected', label: 'Capacity unavailable',
+                pattern: /capacity|host capacity|out of capacity|service limit|quota exceeded|resource unavailable|insufficient capacity/i, summary: /No capacity available\b.*\bin AD|Oracle capacity constraints/ },
+            { type: 'INTERNAL_ERROR', group: 'internal', category: 'transient', label: 'InternalError / 502',
+                pattern: /internal.*error|internalerror|"code".*"InternalError"|bad.*gateway|502|"status".*502/i, summary: /Internal\/gateway error detected/ },
+            { type: 'DUPLICATE', group: 'duplicate', category: 'expected', label: 'Instance already exists',
+                pattern: /display name already exists|instance.*already exists|duplicate.*name/i, summary: /Instance with this name already exists/ },
+            { type: 'AUTH', group: 'auth', category: 'breakage', label: 'NotAuthenticated',
+                pattern: /authentication|authorization|unauthorized|forbidden|401|403/i, summary: /Authentication\/authorization error\b.*\bin AD/ },
+            { type: 'NETWORK', group: 'network', category: 'transient', label: 'Network error',
+                pattern: /network|timeout|connection|unreachable|dns/i, summary: /Network error detected\b.*\bin AD/ },
+            { type: 'CONFIG', group: 'config', category: 'breakage', label: 'Configuration error',
+                pattern: /not found|invalid.*id|does not exist|bad.*request|400|parameter/i, summary: /Configuration error detected\b.*\bin AD/ },
+            { type: 'UNKNOWN', group: 'unknown', category: 'breakage', label: 'Unknown OCI error',
+                pattern: null, summary: /Unexpected error during instance launch/ }
+        ];
+        // What each secret of config/defaults.yml and the workflow is for, shown by the config check
+        this.secretDescriptions = {
+            OCI_USER_OCID: 'OCID of the user owning the API signing key (ocid1.user...)',
+            OCI_KEY_FINGERPRINT: 'Fingerprint shown in the OCI console when the API signing key was added',
+            OCI_TENANCY_OCID: 'OCID of the tenancy (ocid1.tenancy...)',
+            OCI_REGION: 'Region identifier such as ap-singapore-1',
+            OCI_PRIVATE_KEY: 'PEM private key of the API signing key',
+            OCI_SUBNET_ID: 'OCID of the subnet the instance is attached to (ocid1.subnet...)',
+            INSTANCE_SSH_PUBLIC_KEY: 'SSH public key installed on the instance - must start with ssh-',
+            TELEGRAM_TOKEN: 'Telegram bot token, digits:characters',
+            TELEGRAM_USER_ID: 'Numeric Telegram chat ID that receives notifications',
+            OCI_COMPARTMENT_ID: 'Falls back to the tenancy OCID when not set',
+            OCI_IMAGE_ID: 'The newest image for OPERATING_SYSTEM / OS_VERSION is looked up when not set',
+            OCI_PROXY_URL: 'Optional proxy as user:pass@host:port - its syntax is only checked on the runner'
+        };
+        // config/instance-profiles.yml keys and the workflow env names they stand for
+        this.profileKeys = {
+            region: 'OCI_REGION',
+            availability_domain: 'OCI_AD',
+            shape: 'OCI_SHAPE',
+            ocpus: 'OCI_OCPUS',
+            memory_gb: 'OCI_MEMORY_IN_GBS',
+            operating_system: 'OPERATING_SYSTEM',
+            os_version: 'OS_VERSION',
+            assign_public_ip: 'ASSIGN_PUBLIC_IP'
+        };
+        this.profileBrowser = { entries: [], selected: null, variables: null, workflow: null, applying: false };
+        // Always Free allowance - free_tier_limits in config/defaults.yml overrides it once loaded
+        this.freeTier = {
+            limits: { a1Instances: 4, a1Ocpus: 4, a1MemoryGb: 24, microInstances: 2, blockStorageGb: 200, minBootVolumeGb: 50 },
+            sources: null
+        };
+        // launch-parallel.sh races both Always Free shapes; each is tracked on its own
+        this.shapeTracking = {
+            definitions: [
+                { shape: 'VM.Standard.A1.Flex', label: 'A1.Flex (ARM)', short: 'A1.Flex', verified: 'A1.Flex' },
+                { shape: 'VM.Standard.E2.1.Micro', label: 'E2.1.Micro (AMD)', short: 'E2.1.Micro', verified: 'E2.Micro' }
+            ],
+            // Parsed logs of completed runs, keyed by run id - they never change once a run finished
+            runLogs: new Map(),
+            status: null
+        };
+        
+        this.api = {
+            cache: new Map(),
+            inflight: new Map(),
+            variableListings: new Map(),
+            rateLimit: { limit: null, remaining: null, reset: null, authenticated: false },
+            backoffUntil: 0
         };
         
         this.charts = {};
         this.refreshTimer = null;
         this.lastUpdate = null;
-        this.cdnFallbacks = {
+        this.libraryFallbacks = {
             chartjs: false,
             dateFns: false,
             fontAwesome: false
         };
+        // Raw GET responses are written through to IndexedDB and replayed while offline
         this.offlineMode = {
             enabled: false,
-            lastDataCache: null,
-            cacheTimestamp: null
+            db: null,
+            maxAgeDays: 7,
+            // Set while one panel loads offline, to collect the age of the responses it used
+            panel: null
         };
         
         this.init();
     }
 
-    // CDN Fallback Management
-    checkCDNAvailability() {
-        console.log('🔍 Checking CDN availability...');
+    // Library Fallback Management - the libraries are vendored under lib/, so this only trips on a broken deploy
+    checkLibraryAvailability() {
+        console.log('🔍 Checking library availability...');
         
         // Check Chart.js availability
         if (typeof Chart === 'undefined') {
-            this.cdnFallbacks.chartjs = true;
-            console.warn('⚠️ Chart.js CDN failed - using fallback rendering');
+            this.libraryFallbacks.chartjs = true;
+            console.warn('⚠️ Chart.js failed to load - using fallback rendering');
             this.showNotification('Chart.js unavailable - using simplified charts', 'warning');
         }
         
         // Check date-fns availability
         if (typeof dateFns === 'undefined' && typeof window.dateFns === 'undefined') {
-            this.cdnFallbacks.dateFns = true;
-            console.warn('⚠️ date-fns CDN failed - using native Date functions');
+            this.libraryFallbacks.dateFns = true;
+            console.warn('⚠️ date-fns failed to load - using native Date functions');
         }
-        
+
+        // js-yaml has no fallback - config views report the error when they need it
+        if (typeof window.jsyaml === 'undefined') {
+            console.warn('⚠️ js-yaml failed to load - config and workflow views are unavailable');
+        }
+
         // Check Font Awesome (by checking if FA icons are loaded)
         const testIcon = document.createElement('i');
         testIcon.className = 'fas fa-test';
@@ -52,22 +256,31 @@ class OracleInstanceDashboard {
         
         const computedStyle = window.getComputedStyle(testIcon, ':before');
         if (computedStyle.content === 'none' || computedStyle.content === '') {
-            this.cdnFallbacks.fontAwesome = true;
-            console.warn('⚠️ Font Awesome CDN failed - using fallback icons');
+            this.libraryFallbacks.fontAwesome = true;
+            console.warn('⚠️ Font Awesome failed to load - using fallback icons');
         }
         document.body.removeChild(testIcon);
         
         // Apply fallback styles if needed
-        if (Object.values(this.cdnFallbacks).some(failed => failed)) {
-            this.applyCDNFallbacks();
+        if (Object.values(this.libraryFallbacks).some(failed => failed)) {
+            this.applyLibraryFallbacks();
+        }
+    }
+
+    registerServiceWorker() {
+        // Makes the dashboard installable and lets the shell load without a connection
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+            return;
         }
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.warn('Service worker registration failed:', error));
     }
 
-    applyCDNFallbacks() {
-        console.log('🔧 Applying CDN fallbacks...');
+    applyLibraryFallbacks() {
+        console.log('🔧 Applying library fallbacks...');
         
         // Font Awesome fallback - replace icons with Unicode symbols
-        if (this.cdnFallbacks.fontAwesome) {
+        if (this.libraryFallbacks.fontAwesome) {
             const iconMappings = {
                 'fa-github': '⚡',
                 'fa-clock': '🕒',
@@ -113,7 +326,7 @@ class OracleInstanceDashboard {
         ctx.font = '14px system-ui, sans-serif';
         ctx.textAlign = 'center';
         ctx.fillText('Chart data available', width / 2, height / 2 - 10);
-        ctx.fillText('(Chart.js CDN unavailable)', width / 2, height / 2 + 10);
+        ctx.fillText('(Chart.js unavailable)', width / 2, height / 2 + 10);
         
         // Simple bar representation if data is available
         if (data && Array.isArray(data) && data.length > 0) {
@@ -134,7 +347,7 @@ class OracleInstanceDashboard {
 
     // Safe date formatting without date-fns dependency
     formatDateSafe(date) {
-        if (this.cdnFallbacks.dateFns) {
+        if (this.libraryFallbacks.dateFns) {
             // Fallback to native Date methods
             return new Date(date).toLocaleString('en-US', {
                 year: 'numeric',
@@ -155,15 +368,18 @@ class OracleInstanceDashboard {
     async init() {
         console.log('🚀 Initializing Oracle Instance Creator Dashboard...');
         
-        // Check CDN availability and apply fallbacks if needed
-        this.checkCDNAvailability();
+        // Check library availability and apply fallbacks if needed
+        this.checkLibraryAvailability();
+        this.registerServiceWorker();
         
         // Setup offline mode detection
         this.setupOfflineHandlers();
         this.checkOfflineStatus();
+        this.pruneOfflineCache();
         
-        // Load saved config
+        // Load saved config, then tokens (may prompt for the vault passphrase)
         this.loadConfig();
+        await this.loadTokens();
         
         // Check if this is first-time setup
         const isFirstTime = !this.config.owner || !this.config.repo;
@@ -195,13 +411,10 @@ class OracleInstanceDashboard {
         // Show welcome message and settings modal
         this.showNotification('Welcome! Please configure your repository settings to get started.', 'info');
         
-        // Pre-fill detected values
-        if (this.config.owner) {
-            document.getElementById('repo-owner').value = this.config.owner;
-        }
-        if (this.config.repo) {
-            document.getElementById('repo-name').value = this.config.repo;
-        }
+        // Pre-fill detected values, or an empty entry to fill in
+        this.renderRepositorySettings(this.config.repositories.length
+            ? this.config.repositories
+            : [{ label: '', owner: this.config.owner, repo: this.config.repo, token: '' }]);
         
         // Open settings modal automatically
         this.openModal('settings-modal');
@@ -209,18 +422,267 @@ class OracleInstanceDashboard {
 
     loadConfig() {
         const saved = localStorage.getItem('oic-dashboard-config');
+        let legacyTokens = false;
         if (saved) {
-            this.config = { ...this.config, ...JSON.parse(saved) };
+            const parsed = JSON.parse(saved);
+            const defaultRules = this.config.alertRules;
+            this.config = { ...this.config, ...parsed };
+            // Rules added in later versions keep their defaults
+            this.config.alertRules = Object.fromEntries(Object.entries(defaultRules)
+                .map(([id, rule]) => [id, { ...rule, ...parsed.alertRules?.[id] }]));
+            legacyTokens = Boolean(parsed.token || parsed.repositories?.some(entry => entry.token));
         }
         
         // Auto-detect from URL if possible
         if (!this.config.owner || !this.config.repo) {
             this.autoDetectRepo();
         }
+        
+        // Configs saved before multi-repository support hold a single owner/repo/token
+        if (!Array.isArray(this.config.repositories) || this.config.repositories.length === 0) {
+            this.config.repositories = this.config.owner && this.config.repo
+                ? [{ label: '', owner: this.config.owner, repo: this.config.repo, token: this.config.token }]
+                : [];
+        }
+        
+        this.applyActiveRepository(this.config.activeRepo);
+        
+        // Older versions stored tokens in plain text - move them out of localStorage right away
+        if (legacyTokens) {
+            this.config.tokenStorage = 'session';
+            this.saveConfig();
+        }
     }
 
     saveConfig() {
-        localStorage.setItem('oic-dashboard-config', JSON.stringify(this.config));
+        // A snapshot replaces the config in memory only
+        if (this.snapshot) {
+            return Promise.resolve();
+        }
+        localStorage.setItem('oic-dashboard-config', JSON.stringify(this.getPersistableConfig()));
+        return this.saveTokens().catch(error => {
+            console.error('Failed to store tokens:', error);
+            this.showError('Failed to store tokens: ' + error.message);
+        });
+    }
+
+    // Config without any secrets - the only form that may be persisted or exported
+    getPersistableConfig() {
+        return {
+            ...this.config,
+            token: '',
+            repositories: this.config.repositories.map(entry => ({ label: entry.label, owner: entry.owner, repo: entry.repo }))
+        };
+    }
+
+    getTokenMap() {
+        const tokens = {};
+        this.config.repositories
+            .filter(entry => entry.token)
+            .forEach(entry => { tokens[this.getRepositoryKey(entry)] = entry.token; });
+        return tokens;
+    }
+
+    async loadTokens() {
+        let tokens = {};
+        try {
+            if (this.config.tokenStorage === 'session') {
+                tokens = JSON.parse(sessionStorage.getItem('oic-dashboard-tokens')) || {};
+            } else if (this.config.tokenStorage === 'encrypted' && localStorage.getItem('oic-dashboard-vault')) {
+                tokens = await this.promptUnlock();
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable token storage:', error);
+        }
+        
+        this.config.repositories.forEach(entry => {
+            entry.token = tokens[this.getRepositoryKey(entry)] || entry.token || '';
+        });
+        this.applyActiveRepository(this.config.activeRepo);
+    }
+
+    async saveTokens() {
+        const mode = this.config.tokenStorage;
+        
+        // Only the selected mode keeps a copy
+        if (mode !== 'session') {
+            sessionStorage.removeItem('oic-dashboard-tokens');
+        }
+        if (mode !== 'encrypted') {
+            localStorage.removeItem('oic-dashboard-vault');
+            this.tokenVault.key = null;
+            this.tokenVault.salt = null;
+        }
+        
+        if (mode === 'session') {
+            sessionStorage.setItem('oic-dashboard-tokens', JSON.stringify(this.getTokenMap()));
+        } else if (mode === 'encrypted' && this.tokenVault.key) {
+            // A vault that was never unlocked this session is left untouched
+            await this.encryptTokens(this.getTokenMap());
+        }
+    }
+
+    promptUnlock() {
+        return new Promise((resolve) => {
+            const form = document.getElementById('unlock-form');
+            const input = document.getElementById('unlock-passphrase');
+            const errorEl = document.getElementById('unlock-error');
+            const skip = document.getElementById('unlock-skip');
+            
+            const finish = (tokens) => {
+                form.removeEventListener('submit', onSubmit);
+                skip.removeEventListener('click', onSkip);
+                input.value = '';
+                this.closeModal();
+                resolve(tokens);
+            };
+            const onSubmit = async (e) => {
+                e.preventDefault();
+                try {
+                    finish(await this.decryptTokens(input.value));
+                } catch (error) {
+                    errorEl.textContent = error.message;
+                    input.select();
+                }
+            };
+            const onSkip = () => finish({});
+            
+            form.addEventListener('submit', onSubmit);
+            skip.addEventListener('click', onSkip);
+            errorEl.textContent = '';
+            this.openModal('unlock-modal');
+            input.focus();
+        });
+    }
+
+    async deriveVaultKey(passphrase, salt) {
+        if (!window.crypto?.subtle) {
+            throw new Error('WebCrypto is unavailable - the dashboard must be served over HTTPS');
+        }
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: this.tokenVault.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async setVaultPassphrase(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        this.tokenVault.key = await this.deriveVaultKey(passphrase, salt);
+        this.tokenVault.salt = salt;
+    }
+
+    async encryptTokens(tokens) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.tokenVault.key,
+            new TextEncoder().encode(JSON.stringify(tokens))
+        );
+        
+        localStorage.setItem('oic-dashboard-vault', JSON.stringify({
+            version: 1,
+            iterations: this.tokenVault.iterations,
+            salt: this.toBase64(this.tokenVault.salt),
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(data))
+        }));
+    }
+
+    async decryptTokens(passphrase) {
+        const vault = JSON.parse(localStorage.getItem('oic-dashboard-vault'));
+        const salt = this.fromBase64(vault.salt);
+        this.tokenVault.iterations = vault.iterations || this.tokenVault.iterations;
+        const key = await this.deriveVaultKey(passphrase, salt);
+        
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(vault.iv) }, key, this.fromBase64(vault.data));
+        } catch (error) {
+            // AES-GCM authentication fails on a wrong key
+            throw new Error('Incorrect passphrase');
+        }
+        
+        this.tokenVault.key = key;
+        this.tokenVault.salt = salt;
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    getRepositoryKey(entry) {
+        return `${entry.owner}/${entry.repo}`;
+    }
+
+    applyActiveRepository(key) {
+        const entry = this.config.repositories.find(repo => this.getRepositoryKey(repo) === key)
+            || this.config.repositories[0];
+        if (!entry) {
+            return;
+        }
+        
+        this.config.owner = entry.owner;
+        this.config.repo = entry.repo;
+        this.config.token = entry.token || '';
+        this.config.activeRepo = this.getRepositoryKey(entry);
+    }
+
+    selectRepository(key) {
+        if (key === this.config.activeRepo) {
+            return;
+        }
+        
+        this.applyActiveRepository(key);
+        this.saveConfig();
+        this.resetRepositoryState();
+        this.updateConnectionStatus();
+        this.renderRepositoryOverview();
+        this.refreshData();
+    }
+
+    resetRepositoryState() {
+        // Everything below was loaded for the previously active repository
+        this.schedule = null;
+        this.scheduleBuilder.seeded = false;
+        this.successModel = null;
+        this.usage = null;
+        this.regionConfig = null;
+        this.detectedRegion = null;
+        this.regionSelectorKey = null;
+        this.runsView.page = 1;
+        this.runsView.runs = [];
+        this.runsView.expanded.clear();
+        this.runsView.jobs.clear();
+        this.circuitBreaker.records = [];
+        this.performance.runs = [];
+        this.performance.thresholds = null;
+        this.instance = { created: false, info: null, history: null };
+        this.shapeTracking.runLogs.clear();
+        this.failures.runs = [];
+        this.failures.byId.clear();
+        this.shapeTracking.status = null;
+        this.profileBrowser = { entries: [], selected: null, variables: null, workflow: null, applying: false };
+        this.freeTier.sources = null;
+        clearTimeout(this.rearm.timer);
+        this.rearm = { stage: null, dispatchedAt: 0, run: null, error: null, timer: null };
+        this.renderRearmProgress();
+        clearTimeout(this.dispatch.timer);
+        this.dispatch = { inputs: null, dispatchedAt: 0, lost: false, timer: null };
+        clearTimeout(this.runTracker.timer);
+        clearInterval(this.runTracker.ticker);
+        this.runTracker = { runs: new Map(), finished: new Set(), timer: null, ticker: null };
+        this.renderRunTracker();
+        this.alerts.state = null;
+        this.renderAlertHistory();
     }
 
     autoDetectRepo() {
@@ -260,11 +722,12 @@ class OracleInstanceDashboard {
         
         // Show current config in UI
         this.updateConfigUI();
+        this.renderAlertHistory();
     }
 
     initCharts() {
         // Check if Chart.js is available
-        if (typeof Chart === 'undefined' || this.cdnFallbacks.chartjs) {
+        if (typeof Chart === 'undefined' || this.libraryFallbacks.chartjs) {
             console.warn('⚠️ Chart.js not available - using fallback visualization');
             this.initFallbackCharts();
             return;
@@ -339,7 +802,7 @@ class OracleInstanceDashboard {
             console.log('✅ Charts initialized successfully');
         } catch (error) {
             console.error('❌ Error initializing charts:', error);
-            this.cdnFallbacks.chartjs = true;
+            this.libraryFallbacks.chartjs = true;
             this.initFallbackCharts();
         }
     }
@@ -381,35 +844,212 @@ class OracleInstanceDashboard {
             this.triggerWorkflow();
         });
 
+        // Dispatch dialog
+        document.getElementById('dispatch-ref').addEventListener('change', (e) => {
+            this.loadDispatchInputs(e.target.value.trim());
+        });
+        document.getElementById('dispatch-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitDispatch();
+        });
+        document.getElementById('dispatch-cancel').addEventListener('click', () => this.closeModal());
+
+        document.getElementById('enable-notifications').addEventListener('click', () => this.requestNotificationPermission());
+
+        // Alert rules
+        document.getElementById('alert-rules-btn').addEventListener('click', () => {
+            this.renderAlertRules();
+            this.openModal('alerts-modal');
+        });
+        document.getElementById('alert-rules-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAlertRules();
+        });
+        document.getElementById('alert-rules-cancel').addEventListener('click', () => this.closeModal());
+        document.getElementById('clear-alerts').addEventListener('click', () => {
+            this.getAlertState().history = [];
+            this.saveAlertState();
+            this.renderAlertHistory();
+        });
+        this.updateNotificationButton();
+
         document.getElementById('reset-success').addEventListener('click', () => {
-            this.resetSuccessState();
+            this.openRearmDialog();
+        });
+
+        // Instance lost/terminated flow
+        document.getElementById('instance-lost').addEventListener('click', () => this.openRearmDialog());
+        document.getElementById('rearm-confirm').addEventListener('change', (e) => {
+            document.getElementById('rearm-submit').disabled = !e.target.checked;
         });
+        document.getElementById('rearm-submit').addEventListener('click', () => this.startRearm());
+        document.getElementById('rearm-cancel').addEventListener('click', () => this.closeModal());
 
         document.getElementById('export-data').addEventListener('click', () => {
             this.exportData();
         });
 
+        document.getElementById('import-snapshot').addEventListener('click', () => {
+            document.getElementById('snapshot-file').click();
+        });
+
+        document.getElementById('snapshot-file').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importSnapshot(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('exit-snapshot').addEventListener('click', () => {
+            // Reloading restores the saved config and tokens
+            window.location.reload();
+        });
+
         document.getElementById('view-logs').addEventListener('click', () => {
             this.viewLogs();
         });
 
+        document.getElementById('config-check').addEventListener('click', () => this.openConfigCheck());
+        document.getElementById('config-check-rerun').addEventListener('click', () => this.openConfigCheck());
+        document.getElementById('config-check-close').addEventListener('click', () => this.closeModal());
+
+        document.getElementById('profile-browser').addEventListener('click', () => this.openProfileBrowser());
+        document.getElementById('profile-select').addEventListener('change', (event) => {
+            this.profileBrowser.selected = event.target.value;
+            this.renderProfileDiff();
+        });
+        document.getElementById('profile-apply').addEventListener('click', () => this.applyProfile());
+        document.getElementById('profile-close').addEventListener('click', () => this.closeModal());
+
         // Refresh button
         document.getElementById('refresh-runs').addEventListener('click', () => {
             this.refreshData();
         });
 
+        // Repository overview rows open that repository's details
+        document.getElementById('repo-overview-rows').addEventListener('click', (e) => {
+            const row = e.target.closest('.repo-row');
+            if (row) {
+                this.selectRepository(row.dataset.repo);
+            }
+        });
+
+        document.getElementById('token-storage').addEventListener('change', (e) => {
+            this.updateTokenStorageUI(e.target.value);
+        });
+
+        document.getElementById('add-repo').addEventListener('click', () => {
+            this.renderRepositorySettings([...this.readRepositorySettings(false), { label: '', owner: '', repo: '', token: '' }]);
+        });
+
+        document.getElementById('repo-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.repo-remove');
+            if (button) {
+                button.closest('.repo-entry').remove();
+            }
+        });
+
+        // Run history filters, paging and drill-down
+        ['runs-conclusion', 'runs-event', 'runs-from', 'runs-to'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyRunFilters());
+        });
+        
+        document.getElementById('runs-prev').addEventListener('click', () => this.changeRunsPage(-1));
+        document.getElementById('runs-next').addEventListener('click', () => this.changeRunsPage(1));
+        
+        document.getElementById('workflow-runs').addEventListener('click', (e) => {
+            const entry = e.target.closest('.run-entry');
+            if (entry && !e.target.closest('a') && e.target.closest('.run-item')) {
+                this.toggleRunDetails(Number(entry.dataset.runId));
+            }
+        });
+
         // Chart controls
         document.getElementById('pattern-timeframe').addEventListener('change', (e) => {
-            this.updateSuccessPatternChart(parseInt(e.target.value));
+            this.updateSuccessPatternChart(parseInt(e.target.value), this.successModel);
         });
 
         document.getElementById('usage-view').addEventListener('change', (e) => {
             this.updateUsageChart(e.target.value);
         });
 
+        document.getElementById('perf-view').addEventListener('change', (e) => {
+            this.updatePerformanceChart(e.target.value);
+        });
+
+        // Circuit breaker reset buttons (rendered dynamically)
+        document.getElementById('breaker-stats').addEventListener('click', (e) => {
+            const button = e.target.closest('.breaker-reset');
+            if (button) {
+                this.resetCircuitBreaker(button.dataset.ad);
+            }
+        });
+
+        // Schedule builder
+        document.getElementById('builder-tier-list').addEventListener('input', (e) => {
+            const row = e.target.closest('.builder-tier');
+            if (!row) {
+                return;
+            }
+            const tier = this.scheduleBuilder.tiers[Number(row.dataset.index)];
+            if (e.target.classList.contains('builder-tier-name')) {
+                tier.name = e.target.value;
+            } else if (e.target.classList.contains('builder-tier-cron')) {
+                tier.cron = e.target.value;
+            }
+            this.updateScheduleBuilder(false);
+        });
+
+        document.getElementById('builder-tier-list').addEventListener('change', (e) => {
+            if (e.target.name === 'builder-active') {
+                this.scheduleBuilder.activeTier = Number(e.target.closest('.builder-tier').dataset.index);
+            }
+        });
+
+        document.getElementById('builder-tier-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.builder-remove');
+            if (button) {
+                this.removeBuilderTier(Number(button.closest('.builder-tier').dataset.index));
+            }
+        });
+
+        document.getElementById('builder-heatmap').addEventListener('click', (e) => {
+            const hour = e.target.closest('.builder-hour');
+            const day = e.target.closest('.builder-day');
+            if (hour) {
+                this.toggleBuilderField('hours', Number(hour.dataset.hour));
+            } else if (day) {
+                this.toggleBuilderField('days', Number(day.dataset.day));
+            }
+        });
+
+        document.getElementById('builder-add-tier').addEventListener('click', () => {
+            this.scheduleBuilder.tiers.push({ name: `Tier ${this.scheduleBuilder.tiers.length + 1}`, cron: '0 * * * *' });
+            this.scheduleBuilder.activeTier = this.scheduleBuilder.tiers.length - 1;
+            this.updateScheduleBuilder();
+        });
+
+        document.getElementById('builder-timezone').addEventListener('change', (e) => {
+            this.scheduleBuilder.timezone = e.target.value;
+            this.updateScheduleBuilder(false);
+        });
+
+        document.getElementById('builder-run-minutes').addEventListener('input', () => this.updateScheduleBuilder(false));
+        document.getElementById('builder-load-workflow').addEventListener('click', () => this.loadBuilderFromWorkflow());
+        document.getElementById('builder-load-region').addEventListener('click', () => this.loadBuilderFromRegion());
+        document.getElementById('builder-copy').addEventListener('click', () => this.copyBuilderYAML());
+
+        document.getElementById('success-heatmap-timezone').addEventListener('change', (e) => {
+            this.successHeatmap.timezone = e.target.value;
+            this.updateSuccessHeatmap();
+        });
+
         // Region selector
         document.getElementById('region-selector').addEventListener('change', (e) => {
             this.updateRegionalAnalysis(e.target.value);
+            if (this.successHeatmap.timezone === 'region') {
+                this.updateSuccessHeatmap();
+            }
         });
 
         // Modal close on outside click
@@ -430,46 +1070,58 @@ class OracleInstanceDashboard {
             return;
         }
         
-        // If offline, use cached data instead of making API calls
-        if (this.offlineMode.enabled) {
-            console.log('📵 Offline mode - using cached data');
-            this.loadCachedData();
-            return;
-        }
+        // Offline, the same loaders run against the IndexedDB copy of their responses (snapshots need no network)
+        const offline = this.offlineMode.enabled && !this.snapshot;
         
         try {
             // Update last update time
             this.lastUpdate = new Date();
-            document.getElementById('last-update').innerHTML = `
-                <i class="far fa-clock"></i>
-                <span>${this.formatTime(this.lastUpdate)}</span>
-            `;
+            document.getElementById('last-update').innerHTML = offline
+                ? '<i class="fas fa-wifi"></i><span>Offline - cached data</span>'
+                : `<i class="far fa-clock"></i><span>${this.formatTime(this.lastUpdate)}</span>`;
 
-            // Always try to load public data (workflow runs)
-            const publicDataPromises = [
-                this.updateWorkflowRuns(),
-                this.updateUsageMetrics(),
-                this.updateScheduleInfo()
+            // Always try to load public data (workflow runs); each loader lists the elements it renders
+            const panels = [
+                [() => this.updateWorkflowRuns(), ['workflow-runs']],
+                [() => this.updateUsageMetrics(), ['usage-percentage', 'usage-chart']],
+                [() => this.updateScheduleInfo(), ['next-run']],
+                [() => this.updateRunTracker(), []],
+                [() => this.updateRepositoryOverview(), ['repo-overview']],
+                [() => this.updateFreeTierBudget(), ['free-tier-budget']],
+                [() => this.updateRegionalAnalysis(document.getElementById('region-selector').value), ['schedule-recommendations']]
             ];
 
             // Only load authenticated data if token is available
-            const authenticatedDataPromises = [];
-            if (this.config.token) {
-                authenticatedDataPromises.push(
-                    this.updateInstanceStatus(),
-                    this.updateSuccessMetrics(),
-                    this.updateADPerformance()
+            if (this.config.token || this.snapshot) {
+                panels.push(
+                    [() => this.updateInstanceStatus(), ['instance-status', 'instance-details']],
+                    [() => this.updateShapeStatus(), ['shape-status']],
+                    [() => this.updateSuccessMetrics(), ['success-rate', 'success-pattern-chart', 'success-heatmap']],
+                    [() => this.updateADPerformance(), ['ad-stats']],
+                    [() => this.updateCircuitBreaker(), ['breaker-stats']],
+                    [() => this.updatePerformanceMetrics(), ['perf-chart']],
+                    [() => this.updateFailureBreakdown(), ['failure-chart']]
                 );
             } else {
                 // Show limited data message for authenticated features
                 this.showAuthenticationPrompt();
             }
 
-            // Fetch all available data in parallel
-            await Promise.all([...publicDataPromises, ...authenticatedDataPromises]);
+            if (offline) {
+                // One at a time, so every response read can be attributed to its panel
+                for (const [load, elementIds] of panels) {
+                    await this.loadPanelOffline(load, elementIds);
+                }
+            } else {
+                // Fetch all available data in parallel
+                document.querySelectorAll('[data-stale]').forEach(container => delete container.dataset.stale);
+                await Promise.all(panels.map(([load]) => load()));
+            }
 
-            // Cache the successful data fetch for offline mode
-            this.cacheCurrentData();
+            // Alerts only make sense for live data
+            if (!this.snapshot && !offline) {
+                await this.evaluateAlerts();
+            }
 
         } catch (error) {
             console.error('Error refreshing data:', error);
@@ -499,6 +1151,7 @@ class OracleInstanceDashboard {
         
         document.getElementById('success-rate').textContent = '---%';
         document.getElementById('success-trend').textContent = 'Token required';
+        document.getElementById('instance-details').innerHTML = '<div class="loading">Token required for instance details</div>';
     }
 
     handleDataLoadError(error) {
@@ -511,25 +1164,116 @@ class OracleInstanceDashboard {
         }
     }
 
+    async updateRepositoryOverview() {
+        if (this.config.repositories.length < 2) {
+            this.renderRepositoryOverview();
+            return;
+        }
+        
+        await Promise.all(this.config.repositories.map(async (entry) => {
+            this.repoSummaries.set(this.getRepositoryKey(entry), await this.fetchRepositorySummary(entry));
+        }));
+        this.renderRepositoryOverview();
+    }
+
+    async fetchRepositorySummary(entry) {
+        const base = `/repos/${entry.owner}/${entry.repo}`;
+        const request = (endpoint) => entry.token
+            ? this.githubRequest(endpoint, { auth: true, token: entry.token })
+            : this.githubPublicAPI(endpoint);
+        const summary = { instance: null, successRate: null, lastRun: null, openBreakers: null, error: null };
+        
+        const [runs, variables] = await Promise.allSettled([
+            request(`${base}/actions/workflows/${this.workflowFile}/runs?per_page=1`),
+            entry.token ? this.listRepoVariables({ owner: entry.owner, repo: entry.repo, request }) : Promise.resolve(null)
+        ]);
+        
+        if (runs.status === 'fulfilled') {
+            summary.lastRun = runs.value.workflow_runs?.[0] || null;
+        } else {
+            summary.error = runs.reason.message;
+        }
+        
+        if (variables.status === 'fulfilled' && variables.value) {
+            const find = (name) => variables.value.find(v => v.name === name)?.value;
+            summary.instance = find('INSTANCE_CREATED') === 'true' ? 'Active' : 'Searching';
+            
+            try {
+                summary.successRate = this.buildSuccessModel(this.parsePatternData(find('SUCCESS_PATTERN_DATA'))).rate;
+                const records = JSON.parse(find('AD_FAILURE_DATA') || '[]');
+                summary.openBreakers = records.filter(record => this.getBreakerState(record).state === 'open').length;
+            } catch (error) {
+                console.warn(`Ignoring malformed variables in ${entry.owner}/${entry.repo}:`, error);
+            }
+        } else if (variables.status === 'rejected') {
+            summary.error = summary.error || variables.reason.message;
+        }
+        
+        return summary;
+    }
+
+    renderRepositoryOverview() {
+        const section = document.getElementById('repo-overview');
+        const repositories = this.config.repositories;
+        section.hidden = repositories.length < 2;
+        if (section.hidden) {
+            return;
+        }
+        
+        const dash = '<span class="repo-cell-muted">—</span>';
+        document.getElementById('repo-overview-rows').innerHTML = repositories.map(entry => {
+            const key = this.getRepositoryKey(entry);
+            const summary = this.repoSummaries.get(key);
+            const run = summary?.lastRun;
+            const runStatus = run ? this.getRunStatus(run) : null;
+            const successRate = summary?.successRate ?? null;
+            const openBreakers = summary?.openBreakers ?? null;
+            
+            return `
+                <div class="repo-row ${key === this.config.activeRepo ? 'active' : ''}" data-repo="${this.escapeHTML(key)}" title="${this.escapeHTML(summary?.error || 'Show details')}">
+                    <div class="repo-cell repo-name-cell">
+                        <strong>${this.escapeHTML(entry.label || entry.repo)}</strong>
+                        <small>${this.escapeHTML(key)}</small>
+                    </div>
+                    <div class="repo-cell">${summary?.instance ? this.escapeHTML(summary.instance) : dash}</div>
+                    <div class="repo-cell">${successRate !== null ? `${successRate}%` : dash}</div>
+                    <div class="repo-cell">
+                        ${run ? `<span class="status-dot ${runStatus.class}"></span> ${this.escapeHTML(this.formatDateSafe(run.created_at))}` : dash}
+                    </div>
+                    <div class="repo-cell">
+                        ${openBreakers === null ? dash
+                            : openBreakers > 0 ? `<span class="breaker-state open">${openBreakers} open</span>`
+                            : '<span class="breaker-state closed">All closed</span>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
     async updateInstanceStatus() {
         try {
             // Get repository variables to check instance status
-            const variables = await this.githubAPI('/repos/' + this.config.owner + '/' + this.config.repo + '/actions/variables');
+            const variables = await this.listRepoVariables();
             
-            const instanceCreated = variables.variables?.find(v => v.name === 'INSTANCE_CREATED');
-            const instanceInfo = variables.variables?.find(v => v.name === 'INSTANCE_CREATED_INFO');
+            const instanceCreated = variables.find(v => v.name === 'INSTANCE_CREATED');
+            const instanceInfo = variables.find(v => v.name === 'INSTANCE_CREATED_INFO');
             
             let status = 'No Instance';
             let trend = 'Checking availability...';
+            let info = null;
+            const created = instanceCreated?.value === 'true';
             
-            if (instanceCreated && instanceCreated.value === 'true') {
+            if (created) {
                 status = 'Instance Active';
                 trend = '✅ Instance successfully created';
                 
                 if (instanceInfo) {
                     try {
-                        const info = JSON.parse(instanceInfo.value);
-                        trend = `✅ Created in ${info.ad} at ${this.formatTime(new Date(info.timestamp))}`;
+                        info = JSON.parse(instanceInfo.value);
+                        // launch-instance.sh records "VERIFIED" when it finds an existing instance instead of an AD
+                        trend = info.ad === 'VERIFIED'
+                            ? `✅ Existing instance verified at ${this.formatTime(new Date(info.timestamp))}`
+                            : `✅ Created in ${info.ad} at ${this.formatTime(new Date(info.timestamp))}`;
                     } catch (e) {
                         // Use default trend
                     }
@@ -541,830 +1285,4816 @@ class OracleInstanceDashboard {
             document.getElementById('instance-status').textContent = status;
             document.getElementById('instance-trend').textContent = trend;
             
+            this.instance.created = created;
+            this.instance.info = info;
+            this.renderInstanceDetails();
+            if (info) {
+                await this.loadInstanceHistory(info);
+                this.renderInstanceDetails();
+            }
+            
         } catch (error) {
             document.getElementById('instance-status').textContent = 'Unknown';
             document.getElementById('instance-trend').textContent = 'Error fetching status';
+            document.getElementById('instance-details').innerHTML = '<div class="loading">Error loading instance details</div>';
         }
     }
 
-    async updateWorkflowRuns() {
+    async loadInstanceHistory(info) {
+        if (this.instance.history?.key === info.timestamp) {
+            return;
+        }
+        
+        const history = { key: info.timestamp, since: null, runs: null, launches: null, partial: false };
+        const createdAt = Date.parse(info.timestamp);
         try {
-            // Use public API for workflow runs - no authentication required
-            const runs = await this.githubPublicAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/runs?per_page=10`);
-            
-            const container = document.getElementById('workflow-runs');
-            
-            if (!runs.workflow_runs || runs.workflow_runs.length === 0) {
-                container.innerHTML = '<div class="loading">No workflow runs found</div>';
-                return;
-            }
+            // reset_success_state deletes SUCCESS_PATTERN_DATA, so its oldest entry is where this hunt started
+            const variables = await this.listRepoVariables();
+            const model = this.buildSuccessModel(this.parsePatternData(variables.find(v => v.name === 'SUCCESS_PATTERN_DATA')?.value));
+            const times = model.patterns.map(entry => Date.parse(entry.timestamp)).filter(time => time <= createdAt);
             
-            container.innerHTML = runs.workflow_runs.map(run => {
-                const status = this.getRunStatus(run);
-                const duration = this.calculateDuration(run.created_at, run.updated_at);
+            if (times.length) {
+                // The search syntax takes whole seconds
+                const toQueryTime = (time) => new Date(time).toISOString().replace(/\.\d+Z$/, 'Z');
+                history.since = new Date(Math.min(...times)).toISOString();
+                history.launches = model.launches.filter(entry => Date.parse(entry.timestamp) <= createdAt).length;
+                history.partial = model.windowFull;
                 
-                return `
-                    <div class="run-item">
-                        <div class="run-status">
-                            <div class="status-dot ${status.class}"></div>
-                            <span>${status.text}</span>
-                            <span class="run-time">${this.formatTime(new Date(run.created_at))}</span>
-                        </div>
-                        <div class="run-details">
-                            <span class="run-duration">${duration}s</span>
-                        </div>
-                    </div>
-                `;
-            }).join('');
-            
-        } catch (error) {
-            const container = document.getElementById('workflow-runs');
-            if (error.message.includes('rate limit')) {
-                container.innerHTML = '<div class="loading">⏳ Rate limited - please wait and refresh</div>';
-            } else if (error.message.includes('not found')) {
-                container.innerHTML = '<div class="loading">❌ Repository not found or not public</div>';
-            } else {
-                container.innerHTML = '<div class="loading">❌ Error loading workflow runs</div>';
+                const runs = await this.githubReadAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/workflows/${this.workflowFile}/runs?created=${toQueryTime(Math.min(...times))}..${toQueryTime(createdAt)}&per_page=1`);
+                history.runs = runs.total_count;
             }
-            console.error('Error loading workflow runs:', error);
+        } catch (error) {
+            console.warn('Instance hunt history unavailable:', error);
         }
+        this.instance.history = history;
     }
 
-    async updateSuccessMetrics() {
+    renderInstanceDetails() {
+        const { created, info, history } = this.instance;
+        const container = document.getElementById('instance-details');
+        const rearming = ['dispatching', 'waiting', 'running'].includes(this.rearm.stage) && !this.rearm.error;
+        document.getElementById('instance-lost').hidden = !created || rearming || !!this.snapshot;
+        
+        if (!created) {
+            container.innerHTML = '<div class="loading">No instance yet - the workflow is hunting for capacity</div>';
+            return;
+        }
+        if (!info) {
+            container.innerHTML = '<div class="loading">INSTANCE_CREATED is set but INSTANCE_CREATED_INFO is missing</div>';
+            return;
+        }
+        
+        const createdAt = Date.parse(info.timestamp);
+        // shape/ocpus/memory_gb/display_name were added to INSTANCE_CREATED_INFO later - older records lack them
+        const profile = info.shape
+            ? `${info.shape}${info.ocpus ? ` - ${info.ocpus} OCPU / ${info.memory_gb} GB` : ''}${info.display_name ? ` (${info.display_name})` : ''}`
+            : 'Not recorded';
+        let hunt = 'Loading...';
+        if (history && history.runs === null) {
+            hunt = 'Not recorded';
+        } else if (history) {
+            const days = ((createdAt - Date.parse(history.since)) / 86400000).toFixed(1);
+            hunt = `${history.partial ? 'At least ' : ''}${history.runs} runs, ${history.launches} launch attempts over ${days} days`;
+        }
+        
+        const fields = [
+            ['Instance OCID', info.instance_id || 'Unknown'],
+            ['Shape / profile', profile],
+            ['Availability domain', info.ad === 'VERIFIED' ? 'Unknown (existing instance verified)' : info.ad],
+            ['Created', isNaN(createdAt) ? 'Unknown' : this.formatDateSafe(createdAt)],
+            ['Uptime', isNaN(createdAt) ? 'Unknown' : this.formatDuration(Math.floor((Date.now() - createdAt) / 1000))],
+            ['Time to capacity', hunt]
+        ];
+        container.innerHTML = fields.map(([label, value]) => `
+            <div class="instance-field">
+                <span>${label}</span>
+                <strong>${this.escapeHTML(String(value))}</strong>
+            </div>
+        `).join('');
+    }
+
+    async updateShapeStatus() {
+        const base = `/repos/${this.config.owner}/${this.config.repo}/actions`;
         try {
-            // Get pattern data from repository variables
-            const variables = await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/variables`);
-            const patternData = variables.variables?.find(v => v.name === 'SUCCESS_PATTERN_DATA');
-            
-            let successRate = 0;
-            let trend = 'No data available';
+            const variables = await this.listRepoVariables();
+            const find = (name) => variables.find(v => v.name === name)?.value;
+            let info = null;
+            try {
+                info = find('INSTANCE_CREATED') === 'true' ? JSON.parse(find('INSTANCE_CREATED_INFO') || 'null') : null;
+            } catch (e) {
+                // Missing shape details only lose the INSTANCE_CREATED_INFO hint
+            }
+            const model = this.buildSuccessModel(this.parsePatternData(find('SUCCESS_PATTERN_DATA')));
             
-            if (patternData) {
-                try {
-                    const patterns = JSON.parse(patternData.value);
-                    const totalAttempts = patterns.length;
-                    const successes = patterns.filter(p => p.type === 'success').length;
-                    
-                    if (totalAttempts > 0) {
-                        successRate = Math.round((successes / totalAttempts) * 100);
-                        trend = `${successes}/${totalAttempts} attempts successful`;
+            // Limit caching and per-shape exit codes only show up in the job logs
+            const reports = [];
+            try {
+                const runs = await this.githubAPI(`${base}/workflows/${this.workflowFile}/runs?status=completed&per_page=10`);
+                const recent = (runs.workflow_runs || []).filter(run => !['skipped', 'cancelled'].includes(run.conclusion)).slice(0, 5);
+                for (const run of recent) {
+                    if (!this.shapeTracking.runLogs.has(run.id)) {
+                        this.shapeTracking.runLogs.set(run.id, this.parseShapeLog(await this.fetchRunLogs(run.id)));
+                    }
+                    reports.push({ run, ...this.shapeTracking.runLogs.get(run.id) });
+                    // Newest first - stop once both shapes reported an outcome; a cached-limit skip is not one
+                    const reported = (result) => result && (result.exitCode !== null || result.verified || result.limitCachedAt);
+                    if (this.shapeTracking.definitions.every(def => reports.some(report => reported(report.shapes[def.shape])))) {
+                        break;
                     }
-                } catch (e) {
-                    console.error('Error parsing pattern data:', e);
                 }
+            } catch (error) {
+                // No token, snapshot or offline: fall back to SUCCESS_PATTERN_DATA alone
+                console.warn('Per-shape run logs unavailable:', error);
             }
             
-            document.getElementById('success-rate').textContent = `${successRate}%`;
-            document.getElementById('success-trend').textContent = trend;
-            
-            // Update success pattern chart
-            this.updateSuccessPatternChart(30, patternData ? JSON.parse(patternData.value) : []);
-            
+            this.shapeTracking.status = this.buildShapeStatus(model, info, reports);
+            this.renderShapeStatus();
         } catch (error) {
-            document.getElementById('success-rate').textContent = '---%';
-            document.getElementById('success-trend').textContent = 'Error loading metrics';
+            document.getElementById('shape-status').innerHTML = '<div class="loading">Error loading per-shape status</div>';
         }
     }
 
-    async updateUsageMetrics() {
-        try {
-            // Calculate estimated usage based on current schedule
-            const now = new Date();
-            const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
-            const currentDay = now.getDate();
-            
-            // Estimated runs per day: ~45 (based on our enhanced schedule)
-            const estimatedDailyRuns = 45;
-            const estimatedMonthlyRuns = estimatedDailyRuns * daysInMonth;
-            const currentMonthRuns = estimatedDailyRuns * currentDay;
-            
-            // Each run bills as 1 minute minimum
-            const estimatedMonthlyMinutes = estimatedMonthlyRuns;
-            const currentMonthMinutes = currentMonthRuns;
-            
-            const usagePercentage = Math.round((currentMonthMinutes / 2000) * 100);
-            const remainingMinutes = 2000 - currentMonthMinutes;
-            
-            document.getElementById('usage-percentage').textContent = `${usagePercentage}%`;
-            document.getElementById('usage-trend').textContent = 
-                `${currentMonthMinutes}/${estimatedMonthlyMinutes} min projected`;
-            
-            // Update usage chart
-            this.charts.usage.data.datasets[0].data = [currentMonthMinutes, Math.max(0, remainingMinutes)];
-            this.charts.usage.data.datasets[0].backgroundColor = [
-                usagePercentage > 80 ? '#ef4444' : usagePercentage > 60 ? '#f59e0b' : '#10b981',
-                '#e5e7eb'
-            ];
-            this.charts.usage.update();
+    parseShapeLog(log) {
+        const result = { shapes: {} };
+        const defs = this.shapeTracking.definitions;
+        const entry = (shape) => (result.shapes[shape] = result.shapes[shape] || { exitCode: null, error: null, limitSkipped: false, limitCachedAt: null, verified: null });
+        const byName = (name, key) => defs.find(def => def[key] === name)?.shape;
+        
+        log.split(/\r?\n/).forEach(rawLine => {
+            const stamp = rawLine.match(/^(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\s/);
+            const line = this.stripAnsi(rawLine);
+            let match;
             
-        } catch (error) {
-            document.getElementById('usage-percentage').textContent = '---%';
-            document.getElementById('usage-trend').textContent = 'Error calculating usage';
-        }
+            if ((match = line.match(/Shape result: shape=(\S+) exit_code=(\d+)/))) {
+                entry(match[1]).exitCode = parseInt(match[2], 10);
+            } else if ((match = line.match(/(A1\.Flex|E2\.1\.Micro): Cached limit reached/)) && byName(match[1], 'short')) {
+                entry(byName(match[1], 'short')).limitSkipped = true;
+            } else if ((match = line.match(/Caching limit state for shape: (\S+)/))) {
+                entry(match[1]).limitCachedAt = stamp ? stamp[1] : null;
+            } else if ((match = line.match(/Verified (A1\.Flex|E2\.Micro) instance exists: (\S+)/)) && byName(match[1], 'verified')) {
+                entry(byName(match[1], 'verified')).verified = match[2];
+            } else if ((match = line.match(/for shape (\S+)(?: in AD| -)/))) {
+                const rule = this.errorRules.find(candidate => candidate.summary.test(line));
+                if (rule && match[1] !== 'unknown') {
+                    entry(match[1]).error = rule.group;
+                }
+            }
+        });
+        return result;
     }
 
-    async updateADPerformance() {
-        try {
-            const variables = await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/variables`);
-            const patternData = variables.variables?.find(v => v.name === 'SUCCESS_PATTERN_DATA');
-            
-            const container = document.getElementById('ad-stats');
+    buildShapeStatus(model, info, reports) {
+        const exitClasses = { 0: 'ok', 2: 'capacity', 5: 'limit', 6: 'rate_limited', 124: 'timeout' };
+        // Entries recorded before utils.sh stored the shape cannot be attributed
+        const unattributed = model.patterns.filter(pattern => ['success', 'failure', 'verification'].includes(this.classifyPattern(pattern)) && !pattern.shape).length;
+        
+        const shapes = this.shapeTracking.definitions.map(def => {
+            const launches = model.launches.filter(entry => entry.shape === def.shape);
+            const successes = launches.filter(entry => entry.kind === 'success');
+            const failures = launches.filter(entry => entry.kind === 'failure');
+            const verified = model.patterns.some(pattern => pattern.shape === def.shape && this.classifyPattern(pattern) === 'verification');
+            const seen = reports.filter(report => report.shapes[def.shape]);
+            const latest = seen[0]?.shapes[def.shape] || null;
             
-            if (!patternData) {
-                container.innerHTML = '<div class="loading">No AD performance data available</div>';
-                return;
+            let lastError = null;
+            const logged = seen.find(report => report.shapes[def.shape].error || ![null, 0].includes(report.shapes[def.shape].exitCode));
+            if (logged) {
+                const result = logged.shapes[def.shape];
+                lastError = { class: result.error || exitClasses[result.exitCode] || 'failure', run: logged.run };
+            } else if (failures.length) {
+                const failure = failures[failures.length - 1];
+                lastError = { class: failure.type.replace(/_failure$/, ''), timestamp: failure.timestamp };
             }
             
-            const patterns = JSON.parse(patternData.value);
-            const adStats = {};
+            // state-manager.sh caches limit state for 24 hours
+            const cached = seen.find(report => report.shapes[def.shape].limitCachedAt);
+            let limit = null;
+            if (latest?.limitSkipped) {
+                limit = { run: seen[0].run, since: cached?.shapes[def.shape].limitCachedAt || null };
+            } else if (cached && Date.now() - Date.parse(cached.shapes[def.shape].limitCachedAt) < 86400000) {
+                limit = { run: cached.run, since: cached.shapes[def.shape].limitCachedAt };
+            }
+            if (limit?.since) {
+                limit.expires = new Date(Date.parse(limit.since) + 86400000).toISOString();
+            }
             
-            patterns.forEach(pattern => {
-                if (pattern.ad && pattern.ad !== 'VERIFIED') {
-                    if (!adStats[pattern.ad]) {
-                        adStats[pattern.ad] = { total: 0, success: 0 };
-                    }
-                    adStats[pattern.ad].total++;
-                    if (pattern.type === 'success') {
-                        adStats[pattern.ad].success++;
-                    }
-                }
-            });
+            return {
+                ...def,
+                created: successes.length > 0 || verified || info?.shape === def.shape || seen.some(report => report.shapes[def.shape].verified),
+                attempts: launches.length,
+                successes: successes.map(entry => ({ timestamp: entry.timestamp, ad: entry.ad })),
+                lastError,
+                limit,
+                lastRun: seen[0]?.run || null
+            };
+        });
+        
+        return { shapes, instanceCreated: !!info, unattributed, logsChecked: reports.length };
+    }
+
+    renderShapeStatus() {
+        const container = document.getElementById('shape-status');
+        const status = this.shapeTracking.status;
+        if (!status) {
+            container.innerHTML = '<div class="loading">Loading per-shape status...</div>';
+            return;
+        }
+        
+        const errorLabels = {
+            capacity: 'Out of capacity', limit: 'Limit reached', rate_limited: 'Rate limited', auth: 'Authentication',
+            config: 'Configuration', internal: 'Internal error', network: 'Network', timeout: 'Timed out', failure: 'Failed', unknown: 'Unexpected error'
+        };
+        const cards = status.shapes.map(shape => {
+            let badge = ['running', 'Hunting'];
+            if (shape.created) {
+                badge = ['success', 'Created'];
+            } else if (shape.limit) {
+                badge = ['neutral', 'Limit reached'];
+            } else if (shape.lastError && !['capacity', 'rate_limited'].includes(shape.lastError.class)) {
+                badge = ['error', 'Failing'];
+            }
             
-            const adItems = Object.entries(adStats).map(([ad, stats]) => {
-                const successRate = stats.total > 0 ? Math.round((stats.success / stats.total) * 100) : 0;
-                return `
-                    <div class="ad-item">
-                        <div class="ad-name">${ad.split(':')[1] || ad}</div>
-                        <div class="ad-stats">
-                            <div class="ad-stat">${successRate}% success</div>
-                            <div class="ad-stat">${stats.total} attempts</div>
-                        </div>
+            const lastSuccess = shape.successes[shape.successes.length - 1];
+            const fields = [
+                ['Launch attempts', status.unattributed && !shape.attempts ? 'Not recorded' : String(shape.attempts)],
+                ['Last error', shape.lastError
+                    ? `${errorLabels[shape.lastError.class] || shape.lastError.class}${shape.lastError.run ? ` (run #${shape.lastError.run.run_number})` : ` at ${this.formatDateSafe(shape.lastError.timestamp)}`}`
+                    : 'None recorded'],
+                ['Limit cache', shape.limit
+                    ? `Skipped in run #${shape.limit.run.run_number}${shape.limit.expires ? `, expires ~${this.formatDateSafe(shape.limit.expires)}` : ''}`
+                    : 'Not cached'],
+                ['Successes', shape.successes.length
+                    ? `${shape.successes.length}, last in ${lastSuccess.ad} at ${this.formatDateSafe(lastSuccess.timestamp)}`
+                    : 'None']
+            ];
+            return `
+                <div class="shape-card">
+                    <div class="shape-card-header">
+                        <strong>${this.escapeHTML(shape.label)}</strong>
+                        <span class="shape-state"><span class="status-dot ${badge[0]}"></span> ${badge[1]}</span>
                     </div>
-                `;
-            }).join('');
-            
-            container.innerHTML = adItems || '<div class="loading">No AD data available</div>';
-            document.getElementById('ad-update-time').textContent = `Updated: ${this.formatTime(new Date())}`;
-            
-        } catch (error) {
-            document.getElementById('ad-stats').innerHTML = '<div class="loading">Error loading AD stats</div>';
+                    ${fields.map(([label, value]) => `
+                        <div class="instance-field">
+                            <span>${label}</span>
+                            <strong>${this.escapeHTML(value)}</strong>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        });
+        
+        const notes = [];
+        const waiting = status.shapes.filter(shape => !shape.created && !shape.limit);
+        if (status.instanceCreated && waiting.length) {
+            notes.push(`${waiting.map(shape => shape.short).join(', ')} hunt stopped - scheduled runs skip while INSTANCE_CREATED is set`);
+        }
+        if (status.unattributed) {
+            notes.push(`${status.unattributed} older pattern entries predate per-shape recording and are not counted`);
         }
+        if (!status.logsChecked) {
+            notes.push('Run logs unavailable - limit cache and exit codes need a token with Actions read access');
+        }
+        container.innerHTML = cards.join('') + notes.map(note => `<div class="shape-note">${this.escapeHTML(note)}</div>`).join('');
     }
 
-    async updateScheduleInfo() {
+    openRearmDialog() {
+        if (this.snapshot) {
+            this.showError('Snapshots are read-only - exit snapshot mode to re-arm the workflow');
+            return;
+        }
+        if (!this.config.token) {
+            this.showError('A GitHub token with Actions write access is required to re-arm the workflow');
+            return;
+        }
+        
+        document.getElementById('rearm-instance').textContent = this.instance.info?.instance_id || 'unknown';
+        document.getElementById('rearm-confirm').checked = false;
+        document.getElementById('rearm-submit').disabled = true;
+        this.openModal('rearm-modal');
+    }
+
+    async startRearm() {
+        this.closeModal();
+        clearTimeout(this.rearm.timer);
+        this.rearm = { stage: 'dispatching', dispatchedAt: Date.now(), run: null, error: null, timer: null };
+        this.renderRearmProgress();
+        this.renderInstanceDetails();
+        
         try {
-            // Calculate next run time based on cron schedules
-            const nextRun = this.calculateNextRun();
-            document.getElementById('next-run').textContent = this.formatTime(nextRun);
-            
-            // Determine current schedule context
-            const context = this.getCurrentScheduleContext();
-            document.getElementById('schedule-context').textContent = context;
-            
+            await this.resetSuccessState();
+            this.rearm.stage = 'waiting';
+            this.showSuccess('Re-arm run dispatched');
+            this.rearm.timer = setTimeout(() => this.pollRearm(), 10000);
         } catch (error) {
-            document.getElementById('next-run').textContent = '--:--';
-            document.getElementById('schedule-context').textContent = 'Error calculating schedule';
+            this.rearm.error = `Dispatch failed: ${error.message}`;
         }
+        this.renderRearmProgress();
     }
 
-    updateSuccessPatternChart(days, data = null) {
-        // Use fallback rendering if Chart.js is unavailable
-        if (this.cdnFallbacks.chartjs) {
-            const chartData = data ? this.processChartData(data, days) : this.generateMockChartData(days);
-            this.renderFallbackChart('successPatternChart', chartData, 'line');
-            return;
-        }
+    async pollRearm() {
+        const rearm = this.rearm;
+        const base = `/repos/${this.config.owner}/${this.config.repo}/actions`;
+        rearm.timer = null;
         
-        if (!data) {
-            // Mock data for demonstration
-            const labels = [];
-            const successData = [];
-            
-            for (let i = days - 1; i >= 0; i--) {
-                const date = new Date();
-                date.setDate(date.getDate() - i);
-                labels.push(date.toLocaleDateString());
-                successData.push(Math.random() * 100);
-            }
+        try {
+            rearm.run = rearm.run
+                ? await this.githubAPI(`${base}/runs/${rearm.run.id}`)
+                : await this.findDispatchedRun(rearm.dispatchedAt);
             
-            this.charts.successPattern.data.labels = labels;
-            this.charts.successPattern.data.datasets[0].data = successData;
-        } else {
-            // Process real data
-            const dailyStats = {};
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - days);
-            
-            data.forEach(pattern => {
-                const date = new Date(pattern.timestamp).toDateString();
-                if (new Date(pattern.timestamp) >= cutoffDate) {
-                    if (!dailyStats[date]) {
-                        dailyStats[date] = { total: 0, success: 0 };
-                    }
-                    dailyStats[date].total++;
-                    if (pattern.type === 'success') {
-                        dailyStats[date].success++;
-                    }
+            if (rearm.run) {
+                rearm.stage = 'running';
+                const variables = await this.listRepoVariables();
+                const find = (name) => variables.find(v => v.name === name)?.value;
+                let recreatedAt = NaN;
+                try {
+                    recreatedAt = Date.parse(JSON.parse(find('INSTANCE_CREATED_INFO') || '{}').timestamp);
+                } catch (error) {
+                    // Treated as not recreated
                 }
-            });
-            
-            const labels = [];
-            const successData = [];
-            
-            for (let i = days - 1; i >= 0; i--) {
-                const date = new Date();
-                date.setDate(date.getDate() - i);
-                const dateStr = date.toDateString();
-                
-                labels.push(date.toLocaleDateString());
                 
-                const stats = dailyStats[dateStr];
-                if (stats && stats.total > 0) {
-                    successData.push(Math.round((stats.success / stats.total) * 100));
-                } else {
-                    successData.push(0);
+                // Hunting resumed once the flag is cleared - or the run already caught a new instance
+                if (find('INSTANCE_CREATED') !== 'true' || recreatedAt > rearm.dispatchedAt) {
+                    rearm.stage = 'resumed';
+                } else if (rearm.run.status === 'completed') {
+                    rearm.error = `Run #${rearm.run.run_number} finished (${rearm.run.conclusion}) but INSTANCE_CREATED is still true`;
                 }
             }
-            
-            this.charts.successPattern.data.labels = labels;
-            this.charts.successPattern.data.datasets[0].data = successData;
+        } catch (error) {
+            console.warn('Re-arm tracking request failed, retrying:', error);
         }
         
-        this.charts.successPattern.update();
-    }
-
-    // Helper methods for CDN fallback chart data processing
-    processChartData(data, days) {
-        const dailyStats = {};
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - days);
-        
-        data.forEach(pattern => {
-            const date = new Date(pattern.timestamp).toDateString();
-            if (new Date(pattern.timestamp) >= cutoffDate) {
-                if (!dailyStats[date]) {
-                    dailyStats[date] = { total: 0, success: 0 };
-                }
-                dailyStats[date].total++;
-                if (pattern.type === 'success') {
-                    dailyStats[date].success++;
-                }
-            }
-        });
+        // Repository switched or another re-arm started meanwhile
+        if (rearm !== this.rearm) {
+            return;
+        }
         
-        const chartData = [];
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toDateString();
-            
-            const stats = dailyStats[dateStr];
-            if (stats && stats.total > 0) {
-                chartData.push(Math.round((stats.success / stats.total) * 100));
+        if (rearm.stage !== 'resumed' && !rearm.error) {
+            if (Date.now() - rearm.dispatchedAt > 20 * 60 * 1000) {
+                rearm.error = 'Stopped tracking after 20 minutes - check the run in the Actions tab';
             } else {
-                chartData.push(0);
+                rearm.timer = setTimeout(() => this.pollRearm(), 10000);
             }
         }
         
-        return chartData;
-    }
-
-    generateMockChartData(days) {
-        const mockData = [];
-        for (let i = 0; i < days; i++) {
-            mockData.push(Math.floor(Math.random() * 100));
+        this.renderRearmProgress();
+        if (rearm.stage === 'resumed') {
+            this.refreshData();
         }
-        return mockData;
     }
 
-    // Setup offline event handlers
-    setupOfflineHandlers() {
-        window.addEventListener('online', () => {
-            console.log('🌐 Connection restored');
-            this.checkOfflineStatus();
-        });
+    renderRearmProgress() {
+        const { stage, run, error } = this.rearm;
+        const container = document.getElementById('rearm-progress');
+        container.hidden = !stage;
+        if (!stage) {
+            return;
+        }
         
-        window.addEventListener('offline', () => {
-            console.log('📵 Connection lost');
-            this.checkOfflineStatus();
-        });
+        const steps = [
+            'Dispatch <code>reset_success_state</code>',
+            run
+                ? `<a href="${this.githubLink(run.html_url)}" target="_blank" rel="noopener">Run #${this.escapeHTML(run.run_number)}</a> ${this.escapeHTML(String(run.status).replace(/_/g, ' '))}`
+                : 'Wait for the run to start',
+            'Clear <code>INSTANCE_CREATED</code>',
+            'Hunting resumed'
+        ];
+        const current = ['dispatching', 'waiting', 'running', 'resumed'].indexOf(stage);
         
-        // Check periodically as well (navigator.onLine can be unreliable)
-        setInterval(() => {
-            this.checkOfflineStatus();
-        }, 30000); // Check every 30 seconds
+        container.innerHTML = steps.map((label, index) => {
+            const state = index < current || stage === 'resumed' ? 'done' : index === current ? (error ? 'failed' : 'active') : '';
+            const icon = { done: 'fa-check-circle', active: 'fa-spinner fa-spin', failed: 'fa-times-circle' }[state] || 'fa-circle';
+            return `<div class="rearm-step ${state}"><i class="fas ${icon}"></i> ${label}</div>`;
+        }).join('') + (error ? `<div class="rearm-step failed">${this.escapeHTML(error)}</div>` : '');
     }
 
-    // Offline Mode Management
-    checkOfflineStatus() {
-        const isOnline = navigator.onLine;
-        const wasOffline = this.offlineMode.enabled;
-        
-        this.offlineMode.enabled = !isOnline;
-        
-        // Show/hide offline indicator
-        const offlineIndicator = document.getElementById('offline-indicator');
-        if (!offlineIndicator) {
-            this.createOfflineIndicator();
-        }
+    async updateWorkflowRuns() {
+        const view = this.runsView;
+        const container = document.getElementById('workflow-runs');
         
-        if (!isOnline && !wasOffline) {
-            console.warn('🔌 Dashboard is now offline - using cached data');
-            this.showOfflineMode();
-        } else if (isOnline && wasOffline) {
-            console.log('🌐 Connection restored - refreshing data');
-            this.hideOfflineMode();
-            this.refreshData();
+        try {
+            // Only the instance-creation workflow, filtered server-side
+            const params = new URLSearchParams({ per_page: view.perPage, page: view.page });
+            if (view.filters.conclusion) {
+                params.set('status', view.filters.conclusion);
+            }
+            if (view.filters.event) {
+                params.set('event', view.filters.event);
+            }
+            if (view.filters.from && view.filters.to) {
+                params.set('created', `${view.filters.from}..${view.filters.to}`);
+            } else if (view.filters.from) {
+                params.set('created', `>=${view.filters.from}`);
+            } else if (view.filters.to) {
+                params.set('created', `<=${view.filters.to}`);
+            }
+            
+            const runs = await this.githubReadAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/workflows/${this.workflowFile}/runs?${params}`);
+            view.runs = runs.workflow_runs || [];
+            view.totalCount = runs.total_count || 0;
+            
+            this.renderWorkflowRuns();
+            
+        } catch (error) {
+            if (error.message.includes('rate limit')) {
+                container.innerHTML = '<div class="loading">⏳ Rate limited - please wait and refresh</div>';
+            } else if (error.message.includes('not found')) {
+                container.innerHTML = '<div class="loading">❌ Repository not found or not public</div>';
+            } else {
+                container.innerHTML = '<div class="loading">❌ Error loading workflow runs</div>';
+            }
+            console.error('Error loading workflow runs:', error);
         }
     }
 
-    createOfflineIndicator() {
-        const indicator = document.createElement('div');
-        indicator.id = 'offline-indicator';
-        indicator.innerHTML = `
-            <div class="offline-banner">
-                <span>📵 Offline Mode</span>
-                <small>Using cached data</small>
-            </div>
-        `;
-        indicator.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            right: 0;
-            z-index: 1000;
-            display: none;
-            background: linear-gradient(45deg, #ff9800, #f57c00);
-            color: white;
-            text-align: center;
-            padding: 8px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-        `;
-        document.body.appendChild(indicator);
-    }
-
-    showOfflineMode() {
-        const indicator = document.getElementById('offline-indicator');
-        if (indicator) {
-            indicator.style.display = 'block';
-        }
+    renderWorkflowRuns() {
+        const view = this.runsView;
+        const container = document.getElementById('workflow-runs');
+        const totalPages = Math.max(1, Math.ceil(Math.min(view.totalCount, 1000) / view.perPage));
         
-        // Load cached data if available
-        this.loadCachedData();
+        document.getElementById('runs-page-info').textContent = `Page ${view.page} of ${totalPages} (${view.totalCount} runs)`;
+        document.getElementById('runs-prev').disabled = view.page <= 1;
+        document.getElementById('runs-next').disabled = view.page >= totalPages;
         
-        // Disable refresh functionality
-        const refreshBtn = document.getElementById('refresh-data');
-        if (refreshBtn) {
-            refreshBtn.disabled = true;
-            refreshBtn.title = 'Cannot refresh in offline mode';
+        if (view.runs.length === 0) {
+            container.innerHTML = '<div class="loading">No workflow runs found</div>';
+            return;
         }
         
-        this.showNotification('Offline mode: Using cached data', 'info');
+        container.innerHTML = view.runs.map(run => {
+            const status = this.getRunStatus(run);
+            // Log-derived cause, once the failure breakdown has classified this run
+            const cause = this.failures.byId.get(run.id);
+            if (cause && cause.category !== 'clean') {
+                status.text = `${status.text} - ${cause.label}`;
+            }
+            const duration = this.calculateDuration(run.run_started_at || run.created_at, run.updated_at);
+            const expanded = view.expanded.has(run.id);
+            
+            return `
+                <div class="run-entry${expanded ? ' expanded' : ''}" data-run-id="${this.escapeHTML(run.id)}">
+                    <div class="run-item">
+                        <div class="run-status">
+                            <div class="status-dot ${status.class}"></div>
+                            <span${cause ? ` title="${this.escapeHTML(cause.detail)}"` : ''}>${this.escapeHTML(status.text)}</span>
+                            <a class="run-number" href="${this.githubLink(run.html_url)}" target="_blank" rel="noopener">#${this.escapeHTML(run.run_number)}</a>
+                            <span class="run-time">${this.formatDateSafe(run.created_at)}</span>
+                        </div>
+                        <div class="run-details">
+                            <span class="run-meta">${this.escapeHTML(run.event)}</span>
+                            <span class="run-meta"><i class="fas fa-code-branch"></i> ${this.escapeHTML(run.head_branch)}</span>
+                            <span class="run-duration">${this.formatDuration(duration)}</span>
+                            <i class="fas fa-chevron-${expanded ? 'up' : 'down'} run-toggle"></i>
+                        </div>
+                    </div>
+                    ${expanded ? `<div class="run-jobs">${this.renderRunJobs(run.id)}</div>` : ''}
+                </div>
+            `;
+        }).join('');
     }
 
-    hideOfflineMode() {
-        const indicator = document.getElementById('offline-indicator');
-        if (indicator) {
-            indicator.style.display = 'none';
+    async toggleRunDetails(runId) {
+        const view = this.runsView;
+        if (view.expanded.has(runId)) {
+            view.expanded.delete(runId);
+            this.renderWorkflowRuns();
+            return;
         }
         
-        // Re-enable refresh functionality
-        const refreshBtn = document.getElementById('refresh-data');
-        if (refreshBtn) {
-            refreshBtn.disabled = false;
-            refreshBtn.title = 'Refresh dashboard data';
+        view.expanded.add(runId);
+        this.renderWorkflowRuns();
+        
+        // Jobs of completed runs never change; in-progress runs are re-fetched on each expand
+        const run = view.runs.find(r => r.id === runId);
+        if (view.jobs.has(runId) && run && run.status === 'completed') {
+            return;
         }
         
-        this.showNotification('Connection restored', 'success');
-    }
-
-    cacheData(data) {
         try {
-            const cacheData = {
-                timestamp: new Date().toISOString(),
-                data: data
-            };
-            localStorage.setItem('oic-dashboard-cache', JSON.stringify(cacheData));
-            this.offlineMode.lastDataCache = data;
-            this.offlineMode.cacheTimestamp = new Date();
-            console.log('💾 Dashboard data cached successfully');
+            const result = await this.githubReadAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/runs/${runId}/jobs?per_page=100`);
+            view.jobs.set(runId, result.jobs || []);
         } catch (error) {
-            console.warn('Failed to cache data:', error);
+            console.error(`Error loading jobs for run ${runId}:`, error);
+            view.jobs.set(runId, { error: error.message });
+        }
+        
+        if (view.expanded.has(runId)) {
+            this.renderWorkflowRuns();
         }
     }
 
-    loadCachedData() {
-        try {
-            const cached = localStorage.getItem('oic-dashboard-cache');
-            if (cached) {
-                const cacheData = JSON.parse(cached);
-                const cacheAge = Date.now() - new Date(cacheData.timestamp).getTime();
-                const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-                
-                if (cacheAge < maxAge) {
-                    console.log('📂 Loading cached data (age: ' + Math.round(cacheAge / 1000 / 60) + ' minutes)');
-                    this.displayCachedData(cacheData.data);
-                    return true;
-                } else {
-                    console.warn('Cached data is too old, clearing cache');
-                    localStorage.removeItem('oic-dashboard-cache');
-                }
-            }
-        } catch (error) {
-            console.error('Failed to load cached data:', error);
+    renderRunJobs(runId) {
+        const jobs = this.runsView.jobs.get(runId);
+        if (!jobs) {
+            return '<div class="loading">Loading jobs...</div>';
+        }
+        if (jobs.error) {
+            return `<div class="loading">❌ Error loading jobs: ${this.escapeHTML(jobs.error)}</div>`;
+        }
+        if (jobs.length === 0) {
+            return '<div class="loading">No jobs ran (skipped)</div>';
         }
         
-        // Show offline message if no cache available
-        this.displayOfflineMessage();
-        return false;
+        return jobs.map(job => {
+            const jobStatus = this.getRunStatus(job);
+            const jobDuration = job.started_at && job.completed_at ? this.calculateDuration(job.started_at, job.completed_at) : null;
+            
+            // Bar widths show each step's share of the job time
+            const steps = (job.steps || []).map(step => {
+                const stepStatus = this.getRunStatus(step);
+                const stepDuration = step.started_at && step.completed_at ? this.calculateDuration(step.started_at, step.completed_at) : null;
+                const share = jobDuration && stepDuration !== null ? Math.round((stepDuration / jobDuration) * 100) : 0;
+                
+                return `
+                    <div class="step-item">
+                        <div class="status-dot ${stepStatus.class}"></div>
+                        <span class="step-name">${this.escapeHTML(step.name)}</span>
+                        <div class="step-bar"><div class="step-bar-fill ${stepStatus.class}" style="width: ${share}%;"></div></div>
+                        <span class="step-duration">${stepDuration !== null ? this.formatDuration(stepDuration) : '--'}</span>
+                    </div>
+                `;
+            }).join('');
+            
+            return `
+                <div class="job-item">
+                    <div class="job-header">
+                        <div class="status-dot ${jobStatus.class}"></div>
+                        <a href="${this.githubLink(job.html_url)}" target="_blank" rel="noopener">${this.escapeHTML(job.name)}</a>
+                        <span class="step-duration">${jobDuration !== null ? this.formatDuration(jobDuration) : this.escapeHTML(jobStatus.text)}</span>
+                    </div>
+                    <div class="job-steps">${steps}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    applyRunFilters() {
+        this.runsView.filters = {
+            conclusion: document.getElementById('runs-conclusion').value,
+            event: document.getElementById('runs-event').value,
+            from: document.getElementById('runs-from').value,
+            to: document.getElementById('runs-to').value
+        };
+        this.runsView.page = 1;
+        this.runsView.expanded.clear();
+        this.updateWorkflowRuns();
+    }
+
+    changeRunsPage(delta) {
+        this.runsView.page = Math.max(1, this.runsView.page + delta);
+        this.runsView.expanded.clear();
+        this.updateWorkflowRuns();
+    }
+
+    async updateSuccessMetrics() {
+        try {
+            // Get pattern data from repository variables
+            const variables = await this.listRepoVariables();
+            const patternData = variables.find(v => v.name === 'SUCCESS_PATTERN_DATA');
+            
+            let model = this.buildSuccessModel([]);
+            if (patternData) {
+                try {
+                    model = this.buildSuccessModel(this.parsePatternData(patternData.value));
+                } catch (e) {
+                    console.error('Error parsing pattern data:', e);
+                }
+            }
+            this.successModel = model;
+            
+            const rateEl = document.getElementById('success-rate');
+            const trendEl = document.getElementById('success-trend');
+            if (model.rate === null) {
+                rateEl.textContent = '---%';
+                trendEl.textContent = 'No launch attempts recorded';
+            } else {
+                const since = new Date(model.since).toLocaleDateString([], { month: 'short', day: 'numeric' });
+                rateEl.textContent = `${model.rate}%`;
+                trendEl.textContent = `${model.successes}/${model.launches.length} in last ${model.launches.length} attempts since ${since}`;
+            }
+            trendEl.title = this.describeSuccessModel(model);
+            
+            this.updateSuccessPatternChart(parseInt(document.getElementById('pattern-timeframe').value, 10) || 30, model);
+            await this.updateSuccessHeatmap();
+            
+        } catch (error) {
+            document.getElementById('success-rate').textContent = '---%';
+            document.getElementById('success-trend').textContent = 'Error loading metrics';
+            this.successModel = null;
+            this.updateSuccessPatternChart(parseInt(document.getElementById('pattern-timeframe').value, 10) || 30);
+        }
+    }
+
+    parsePatternData(value) {
+        const patterns = JSON.parse(value || '[]');
+        return Array.isArray(patterns) ? patterns : [];
+    }
+
+    classifyPattern(pattern) {
+        // attempt: adaptive-scheduler.sh context, no outcome
+        // verification: launch-instance.sh found an existing instance (ad "VERIFIED"), not a launch
+        // success / failure: one launch attempt in one AD, recorded by utils.sh
+        const type = String(pattern?.type || '');
+        if (type === 'attempt') {
+            return 'attempt';
+        }
+        if (type === 'success') {
+            return pattern.ad === 'VERIFIED' ? 'verification' : 'success';
+        }
+        return type.endsWith('_failure') ? 'failure' : 'unknown';
+    }
+
+    buildSuccessModel(patterns) {
+        const model = {
+            patterns,
+            launches: [],
+            successes: 0,
+            failures: 0,
+            verifications: 0,
+            attempts: 0,
+            unknown: 0,
+            rate: null,
+            since: null,
+            // At the cap the scripts have started dropping the oldest entries
+            windowFull: patterns.length >= SUCCESS_PATTERN_LIMIT
+        };
+        
+        patterns.forEach(pattern => {
+            const kind = this.classifyPattern(pattern);
+            if (kind === 'success' || kind === 'failure') {
+                model.launches.push({ ...pattern, kind });
+                model[kind === 'success' ? 'successes' : 'failures']++;
+            } else if (kind === 'verification') {
+                model.verifications++;
+            } else {
+                model[kind === 'attempt' ? 'attempts' : 'unknown']++;
+            }
+        });
+        
+        if (model.launches.length) {
+            model.rate = Math.round((model.successes / model.launches.length) * 100);
+            const times = model.launches.map(entry => Date.parse(entry.timestamp)).filter(time => !isNaN(time));
+            model.since = times.length ? new Date(Math.min(...times)).toISOString() : null;
+        }
+        
+        return model;
+    }
+
+    describeSuccessModel(model) {
+        const parts = [
+            `${model.patterns.length} entries in SUCCESS_PATTERN_DATA`,
+            `${model.launches.length} launch attempts (${model.successes} successful, ${model.failures} failed)`,
+            `${model.verifications} existing-instance verifications`,
+            `${model.attempts} scheduler context records`
+        ];
+        if (model.unknown) {
+            parts.push(`${model.unknown} unrecognised entries`);
+        }
+        if (model.windowFull) {
+            parts.push('Rolling window is full - older attempts have been dropped');
+        }
+        return parts.join('\n');
+    }
+
+    async updateSuccessHeatmap() {
+        let offset = 0;
+        let zone = 'UTC';
+        
+        if (this.successHeatmap.timezone === 'region') {
+            try {
+                const regions = await this.loadRegionConfig();
+                const selected = document.getElementById('region-selector').value;
+                const region = selected === 'auto' ? await this.detectRegion(regions) : selected;
+                const pattern = regions[region]?.schedule_pattern;
+                offset = this.parseUTCOffset(pattern?.utc_offset);
+                zone = pattern?.timezone || regions[region]?.name || region;
+            } catch (error) {
+                console.warn('Region time zone unavailable, showing UTC:', error);
+            }
+        }
+        
+        this.renderSuccessHeatmap(this.computeSuccessHeatmap(this.successModel || this.buildSuccessModel([]), offset), zone);
+    }
+
+    computeSuccessHeatmap(model, offset = 0) {
+        // 7 x 24 grid indexed by weekday (0 = Sunday) and hour, shifted by offset minutes east of UTC
+        const cells = Array.from({ length: 7 }, () =>
+            Array.from({ length: 24 }, () => ({ attempts: 0, successes: 0 })));
+        let outcomes = 0;
+        
+        model.launches.forEach(pattern => {
+            // The timestamp keeps minutes for half-hour offsets; hour_utc/day_of_week (%u, 7 = Sunday) are the fallback
+            const time = Date.parse(pattern.timestamp);
+            let minute;
+            if (!isNaN(time)) {
+                const date = new Date(time);
+                minute = date.getUTCDay() * 1440 + date.getUTCHours() * 60 + date.getUTCMinutes();
+            } else if (Number.isInteger(Number(pattern.hour_utc)) && Number.isInteger(Number(pattern.day_of_week))) {
+                minute = (Number(pattern.day_of_week) % 7) * 1440 + Number(pattern.hour_utc) * 60;
+            } else {
+                return;
+            }
+            
+            const shifted = (minute + offset + 7 * 1440) % (7 * 1440);
+            const cell = cells[Math.floor(shifted / 1440)][Math.floor((shifted % 1440) / 60)];
+            cell.attempts++;
+            if (pattern.kind === 'success') {
+                cell.successes++;
+            }
+            outcomes++;
+        });
+        
+        return { cells, outcomes };
+    }
+
+    getWilsonInterval(successes, attempts) {
+        // 95% Wilson score interval - stays sensible for the handful of samples a cell usually has
+        if (!attempts) {
+            return [0, 0];
+        }
+        const z = 1.96;
+        const rate = successes / attempts;
+        const denominator = 1 + z * z / attempts;
+        const center = (rate + z * z / (2 * attempts)) / denominator;
+        const margin = z * Math.sqrt(rate * (1 - rate) / attempts + z * z / (4 * attempts * attempts)) / denominator;
+        return [Math.max(0, center - margin), Math.min(1, center + margin)];
+    }
+
+    renderSuccessHeatmap(heatmap, zone) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const summary = document.getElementById('success-heatmap-summary');
+        const container = document.getElementById('success-heatmap');
+        
+        if (!heatmap.outcomes) {
+            summary.textContent = 'No outcomes recorded';
+            container.innerHTML = '<div class="loading">SUCCESS_PATTERN_DATA has no success or failure entries yet</div>';
+            return;
+        }
+        
+        const cell = (day, hour) => {
+            const { attempts, successes } = heatmap.cells[day][hour];
+            const time = `${dayNames[day]} ${String(hour).padStart(2, '0')}:00 ${zone}`;
+            if (!attempts) {
+                return `<div class="heatmap-cell success-cell empty" title="${this.escapeHTML(time)} - no attempts"></div>`;
+            }
+            
+            const rate = successes / attempts;
+            const [low, high] = this.getWilsonInterval(successes, attempts).map(value => Math.round(value * 100));
+            // Hue runs red -> green with the rate, opacity grows with the sample size
+            const confidence = Math.min(1, 0.3 + 0.7 * attempts / 5);
+            const title = `${time} - ${successes}/${attempts} successful, 95% CI ${low}-${high}%`;
+            return `
+                <div class="heatmap-cell success-cell ${attempts < 3 ? 'low-confidence' : ''}" style="background: hsla(${Math.round(rate * 120)}, 70%, 45%, ${confidence})" title="${this.escapeHTML(title)}">
+                    ${Math.round(rate * 100)}%<small>n=${attempts}</small>
+                </div>
+            `;
+        };
+        
+        // Monday first, matching the schedule builder
+        container.innerHTML = `
+            <div class="heatmap-row">
+                <div class="heatmap-label"></div>
+                ${[...Array(24).keys()].map(hour => `<div class="heatmap-label">${hour}</div>`).join('')}
+            </div>
+            ${[1, 2, 3, 4, 5, 6, 0].map(day => `
+                <div class="heatmap-row">
+                    <div class="heatmap-label">${dayNames[day]}</div>
+                    ${[...Array(24).keys()].map(hour => cell(day, hour)).join('')}
+                </div>
+            `).join('')}
+        `;
+        summary.textContent = `${heatmap.outcomes} outcomes, ${zone}`;
+    }
+
+    async updateUsageMetrics() {
+        try {
+            const usage = this.snapshot ? this.snapshot.metrics.usage : await this.collectMonthUsage();
+            if (!usage) {
+                throw new Error('Usage was not captured in this snapshot');
+            }
+            this.usage = usage;
+            
+            const limit = this.getPlanLimit();
+            const usagePercentage = limit ? Math.round((usage.usedMinutes / limit) * 100) : null;
+            const sourceNote = usage.source === 'billing' ? 'billing' : `${usage.runCount} runs`;
+            
+            if (limit) {
+                document.getElementById('usage-percentage').textContent = `${usagePercentage}%`;
+                document.getElementById('usage-trend').textContent =
+                    `${usage.usedMinutes}/${limit} min used, ${usage.projectedMinutes} projected (${sourceNote})`;
+            } else {
+                document.getElementById('usage-percentage').textContent = `${usage.usedMinutes} min`;
+                document.getElementById('usage-trend').textContent =
+                    `Unlimited plan, ${usage.projectedMinutes} min projected (${sourceNote})`;
+            }
+            
+            this.updateUsageChart(this.usageView);
+            
+        } catch (error) {
+            console.error('Error calculating usage:', error);
+            document.getElementById('usage-percentage').textContent = '---%';
+            document.getElementById('usage-trend').textContent = 'Error calculating usage';
+        }
+    }
+
+    updateUsageChart(view = 'monthly') {
+        this.usageView = view;
+        if (!this.usage) {
+            return;
+        }
+        
+        const chartData = view === 'daily' ? this.buildDailyUsageData()
+            : view === 'weekly' ? this.buildWeeklyUsageData()
+            : this.buildMonthlyUsageData();
+        
+        if (this.libraryFallbacks.chartjs || typeof Chart === 'undefined') {
+            // Fallback renderer has no stacking - plot the per-bucket totals
+            const totals = chartData.labels.map((label, index) =>
+                chartData.datasets.reduce((sum, dataset) => sum + (dataset.data[index] || 0), 0));
+            this.renderFallbackChart('usage-chart', totals, chartData.type);
+            return;
+        }
+        
+        // Chart type can't change in place, so rebuild the chart when switching views
+        if (this.charts.usage && this.charts.usage.config.type !== chartData.type) {
+            this.charts.usage.destroy();
+            this.charts.usage = null;
+        }
+        
+        if (!this.charts.usage) {
+            this.charts.usage = new Chart(document.getElementById('usage-chart'), {
+                type: chartData.type,
+                data: { labels: chartData.labels, datasets: chartData.datasets },
+                options: chartData.options
+            });
+            return;
+        }
+        
+        this.charts.usage.data.labels = chartData.labels;
+        this.charts.usage.data.datasets = chartData.datasets;
+        this.charts.usage.options = chartData.options;
+        this.charts.usage.update();
+    }
+
+    buildMonthlyUsageData() {
+        const limit = this.getPlanLimit();
+        const used = this.usage.usedMinutes;
+        const usagePercentage = limit ? (used / limit) * 100 : 0;
+        const projectedPercentage = limit ? (this.usage.projectedMinutes / limit) * 100 : 0;
+        
+        // Color reflects where the month is heading, not just where it is
+        const usedColor = !limit ? '#10b981'
+            : projectedPercentage > 100 || usagePercentage > 80 ? '#ef4444'
+            : projectedPercentage > 80 ? '#f59e0b' : '#10b981';
+        
+        return {
+            type: 'doughnut',
+            labels: limit ? ['Used', 'Remaining'] : ['Used'],
+            datasets: [{
+                data: limit ? [used, Math.max(0, limit - used)] : [used],
+                backgroundColor: [usedColor, '#e5e7eb'],
+                borderWidth: 0
+            }],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                }
+            }
+        };
+    }
+
+    getUsageLastDay() {
+        // The usage month can be an earlier one (snapshots, offline copies) - chart it to its last day, not to today's date
+        const [year, month] = this.usage.month.split('-').map(Number);
+        const monthEnd = new Date(Date.UTC(year, month, 0));
+        const today = new Date();
+        return today < monthEnd ? new Date(Date.UTC(year, month - 1, today.getUTCDate())) : monthEnd;
+    }
+
+    buildDailyUsageData() {
+        const [year, month] = this.usage.month.split('-').map(Number);
+        const lastDay = this.getUsageLastDay().getUTCDate();
+        const labels = [];
+        const minutes = [];
+        
+        for (let day = 1; day <= lastDay; day++) {
+            const key = `${this.usage.month}-${String(day).padStart(2, '0')}`;
+            labels.push(new Date(Date.UTC(year, month - 1, day)).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' }));
+            minutes.push(this.usage.runs.filter(run => run.day === key).reduce((sum, run) => sum + run.minutes, 0));
+        }
+        
+        return {
+            type: 'bar',
+            labels,
+            datasets: [{
+                label: 'Billable minutes',
+                data: minutes,
+                backgroundColor: '#3b82f6'
+            }],
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: { display: true, text: 'Minutes' }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                }
+            }
+        };
+    }
+
+    buildWeeklyUsageData() {
+        // Weeks start on Monday (UTC) and are clipped to the usage month
+        const weekKey = (day) => {
+            const date = new Date(`${day}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            return date < new Date(`${this.usage.month}-01T00:00:00Z`) ? `${this.usage.month}-01` : date.toISOString().slice(0, 10);
+        };
+        
+        const weeks = [];
+        const lastDay = this.getUsageLastDay();
+        for (const day = new Date(`${this.usage.month}-01T00:00:00Z`); day <= lastDay; day.setUTCDate(day.getUTCDate() + 1)) {
+            const key = weekKey(day.toISOString().slice(0, 10));
+            if (!weeks.includes(key)) {
+                weeks.push(key);
+            }
+        }
+        const workflows = [...new Set(this.usage.runs.map(run => run.workflow || 'Unknown'))].sort();
+        const palette = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#6b7280'];
+        
+        return {
+            type: 'bar',
+            labels: weeks.map(week => `Week of ${new Date(`${week}T00:00:00Z`).toLocaleDateString([], { month: 'short', day: 'numeric', timeZone: 'UTC' })}`),
+            datasets: workflows.map((workflow, index) => ({
+                label: workflow,
+                data: weeks.map(week => this.usage.runs
+                    .filter(run => (run.workflow || 'Unknown') === workflow && weekKey(run.day) === week)
+                    .reduce((sum, run) => sum + run.minutes, 0)),
+                backgroundColor: palette[index % palette.length]
+            })),
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { stacked: true },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        title: { display: true, text: 'Minutes' }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                }
+            }
+        };
+    }
+
+    getPlanLimit() {
+        // 'unlimited' covers public repositories, where Actions minutes are free
+        const limit = parseInt(this.config.planLimit, 10);
+        return Number.isFinite(limit) && limit > 0 ? limit : null;
+    }
+
+    async collectMonthUsage() {
+        const now = new Date();
+        const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+        const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+        const today = now.toISOString().slice(0, 10);
+        const cache = this.loadUsageCache(monthStart);
+        
+        // Days whose runs have all completed never change, so only the uncached tail of the month is listed again
+        const fetchFrom = new Date(monthStart);
+        while (fetchFrom.toISOString().slice(0, 10) < today && cache.completeDays.includes(fetchFrom.toISOString().slice(0, 10))) {
+            fetchFrom.setUTCDate(fetchFrom.getUTCDate() + 1);
+        }
+        
+        const runs = await this.fetchRunsInRange(fetchFrom.toISOString().slice(0, 10), today);
+        const openDays = new Set();
+        runs.forEach(run => {
+            // Queued and running runs have no final minutes yet - their day is listed again next refresh
+            if (run.status !== 'completed') {
+                openDays.add(run.created_at.slice(0, 10));
+                return;
+            }
+            const cached = cache.runs[run.id];
+            if (cached && cached.exact) {
+                return;
+            }
+            cache.runs[run.id] = {
+                day: run.created_at.slice(0, 10),
+                workflow: run.name,
+                event: run.event,
+                conclusion: run.conclusion,
+                minutes: this.estimateRunMinutes(run),
+                exact: false
+            };
+        });
+        
+        for (const day = new Date(fetchFrom); day.toISOString().slice(0, 10) < today; day.setUTCDate(day.getUTCDate() + 1)) {
+            const key = day.toISOString().slice(0, 10);
+            if (!openDays.has(key) && !cache.completeDays.includes(key)) {
+                cache.completeDays.push(key);
+            }
+        }
+        
+        if (this.config.token) {
+            await this.refineRunMinutes(cache);
+        }
+        this.saveUsageCache(monthStart, cache);
+        
+        const runList = Object.entries(cache.runs).map(([id, run]) => ({ id, ...run }));
+        const runMinutes = runList.reduce((sum, run) => sum + run.minutes, 0);
+        const billingMinutes = this.config.token ? await this.fetchBillingMinutes() : null;
+        const usedMinutes = billingMinutes !== null ? billingMinutes : runMinutes;
+        
+        // Project end-of-month usage from the rate observed so far
+        const elapsed = Math.max((now - monthStart) / (monthEnd - monthStart), 1 / 1440);
+        
+        return {
+            month: monthStart.toISOString().slice(0, 7),
+            runs: runList,
+            runCount: runList.length,
+            exactRuns: runList.filter(run => run.exact).length,
+            runMinutes,
+            billingMinutes,
+            usedMinutes,
+            projectedMinutes: Math.round(usedMinutes / elapsed),
+            source: billingMinutes !== null ? 'billing' : 'runs'
+        };
+    }
+
+    async fetchRunsInRange(from, to) {
+        const base = `/repos/${this.config.owner}/${this.config.repo}/actions/runs?per_page=100`;
+        const first = await this.githubReadAPI(`${base}&created=${from}..${to}&page=1`);
+        
+        // Filtered run listings stop at 1000 results - split the date range until each half fits
+        if (first.total_count > 1000 && from !== to) {
+            const middle = new Date((new Date(from).getTime() + new Date(to).getTime()) / 2).toISOString().slice(0, 10);
+            const next = new Date(middle);
+            next.setUTCDate(next.getUTCDate() + 1);
+            const [head, tail] = await Promise.all([
+                this.fetchRunsInRange(from, middle),
+                this.fetchRunsInRange(next.toISOString().slice(0, 10), to)
+            ]);
+            return [...head, ...tail];
+        }
+        
+        const runs = [...(first.workflow_runs || [])];
+        const pages = Math.min(Math.ceil(first.total_count / 100), 10);
+        for (let page = 2; page <= pages; page++) {
+            const result = await this.githubReadAPI(`${base}&created=${from}..${to}&page=${page}`);
+            runs.push(...(result.workflow_runs || []));
+        }
+        
+        return runs;
+    }
+
+    estimateRunMinutes(run) {
+        // Without job timings, bill the whole run rounded up; skipped runs never start a job
+        if (run.conclusion === 'skipped' || !run.run_started_at) {
+            return 0;
+        }
+        const seconds = this.calculateDuration(run.run_started_at, run.updated_at);
+        return Math.max(1, Math.ceil(seconds / 60));
+    }
+
+    async refineRunMinutes(cache) {
+        // Jobs bill individually, each rounded up to the minute - refine a few estimated runs per refresh
+        const pending = Object.entries(cache.runs)
+            .filter(([, run]) => !run.exact)
+            .sort(([a], [b]) => Number(b) - Number(a))
+            .slice(0, 20);
+        
+        await Promise.all(pending.map(async ([id, run]) => {
+            try {
+                const result = await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/runs/${id}/jobs?per_page=100`);
+                run.minutes = (result.jobs || [])
+                    .filter(job => job.started_at && job.completed_at && job.conclusion !== 'skipped')
+                    .reduce((sum, job) => sum + Math.max(1, Math.ceil(this.calculateDuration(job.started_at, job.completed_at) / 60)), 0);
+                run.exact = true;
+            } catch (error) {
+                console.warn(`Failed to load job timings for run ${id}:`, error);
+            }
+        }));
+    }
+
+    async fetchBillingMinutes() {
+        // Account-level billing needs a token with billing read access; fall back to run totals otherwise
+        const now = new Date();
+        const endpoints = [
+            `/users/${this.config.owner}/settings/billing/actions`,
+            `/orgs/${this.config.owner}/settings/billing/actions`,
+            `/users/${this.config.owner}/settings/billing/usage?year=${now.getUTCFullYear()}&month=${now.getUTCMonth() + 1}`
+        ];
+        
+        for (const endpoint of endpoints.filter(candidate => !this.billingUnavailable.has(candidate))) {
+            try {
+                const billing = await this.githubAPI(endpoint);
+                if (typeof billing.total_minutes_used === 'number') {
+                    return Math.round(billing.total_minutes_used);
+                }
+                if (Array.isArray(billing.usageItems)) {
+                    return Math.round(billing.usageItems
+                        .filter(item => item.product === 'actions' && /minute/i.test(item.unitType || ''))
+                        .reduce((sum, item) => sum + (item.quantity || 0), 0));
+                }
+            } catch (error) {
+                // Not available for this token or account type - skip it from now on and try the next one
+                if (/GitHub API error: 40[34]\b/.test(error.message)) {
+                    this.billingUnavailable.add(endpoint);
+                } else {
+                    console.warn(`Billing usage from ${endpoint} unavailable:`, error);
+                }
+            }
+        }
+        
+        return null;
+    }
+
+    loadUsageCache(monthStart) {
+        const key = `oic-dashboard-usage-${this.config.owner}/${this.config.repo}-${monthStart.toISOString().slice(0, 7)}`;
+        try {
+            const saved = JSON.parse(localStorage.getItem(key));
+            if (saved && saved.runs && Array.isArray(saved.completeDays)) {
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring corrupt usage cache:', error);
+        }
+        return { runs: {}, completeDays: [] };
+    }
+
+    saveUsageCache(monthStart, cache) {
+        const prefix = `oic-dashboard-usage-${this.config.owner}/${this.config.repo}-`;
+        const key = prefix + monthStart.toISOString().slice(0, 7);
+        try {
+            // Previous months are no longer needed
+            Object.keys(localStorage)
+                .filter(existing => existing.startsWith(prefix) && existing !== key)
+                .forEach(existing => localStorage.removeItem(existing));
+            localStorage.setItem(key, JSON.stringify(cache));
+        } catch (error) {
+            console.warn('Failed to persist usage cache:', error);
+        }
+    }
+
+    async updateADPerformance() {
+        try {
+            const variables = await this.listRepoVariables();
+            const patternData = variables.find(v => v.name === 'SUCCESS_PATTERN_DATA');
+            
+            const container = document.getElementById('ad-stats');
+            
+            if (!patternData) {
+                container.innerHTML = '<div class="loading">No AD performance data available</div>';
+                return;
+            }
+            
+            const adStats = this.computeADStats(this.parsePatternData(patternData.value));
+            
+            const adItems = Object.entries(adStats).map(([ad, stats]) => {
+                const successRate = stats.total > 0 ? Math.round((stats.success / stats.total) * 100) : 0;
+                return `
+                    <div class="ad-item">
+                        <div class="ad-name">${this.escapeHTML(ad.split(':')[1] || ad)}</div>
+                        <div class="ad-stats">
+                            <div class="ad-stat">${successRate}% success</div>
+                            <div class="ad-stat">${stats.total} attempts</div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+            
+            container.innerHTML = adItems || '<div class="loading">No AD data available</div>';
+            document.getElementById('ad-update-time').textContent = `Updated: ${this.formatTime(new Date())}`;
+            
+        } catch (error) {
+            document.getElementById('ad-stats').innerHTML = '<div class="loading">Error loading AD stats</div>';
+        }
+    }
+
+    computeADStats(patterns) {
+        const adStats = {};
+        
+        this.buildSuccessModel(patterns).launches.forEach(pattern => {
+            if (pattern.ad) {
+                if (!adStats[pattern.ad]) {
+                    adStats[pattern.ad] = { total: 0, success: 0 };
+                }
+                adStats[pattern.ad].total++;
+                if (pattern.kind === 'success') {
+                    adStats[pattern.ad].success++;
+                }
+            }
+        });
+        
+        return adStats;
+    }
+
+    async updateCircuitBreaker() {
+        try {
+            const variables = await this.listRepoVariables();
+            const failureData = variables.find(v => v.name === 'AD_FAILURE_DATA');
+            
+            let records = [];
+            if (failureData) {
+                try {
+                    records = JSON.parse(failureData.value);
+                } catch (e) {
+                    console.error('Error parsing AD failure data:', e);
+                }
+            }
+            
+            this.circuitBreaker.records = Array.isArray(records) ? records : [];
+            this.renderCircuitBreaker();
+            
+        } catch (error) {
+            document.getElementById('breaker-stats').innerHTML = '<div class="loading">Error loading circuit breaker state</div>';
+        }
+    }
+
+    getBreakerState(record, now = Date.now()) {
+        const failures = Number(record.failures) || 0;
+        const lastFailure = record.last_failure ? new Date(record.last_failure).getTime() : NaN;
+        const resetAt = Number.isNaN(lastFailure) ? null : lastFailure + this.circuitBreaker.resetHours * 3600 * 1000;
+        
+        if (failures < this.circuitBreaker.maxFailures) {
+            return { state: 'closed', label: 'Closed', resetAt: null };
+        }
+        // The runner resets the record the next time it evaluates an AD past the reset window
+        if (resetAt !== null && now >= resetAt) {
+            return { state: 'half-open', label: 'Half-open', resetAt: null };
+        }
+        return { state: 'open', label: 'Open', resetAt };
+    }
+
+    renderCircuitBreaker() {
+        const container = document.getElementById('breaker-stats');
+        const records = this.circuitBreaker.records;
+        
+        if (records.length === 0) {
+            container.innerHTML = '<div class="loading">No AD failures recorded - all breakers closed</div>';
+        } else {
+            container.innerHTML = records.map(record => {
+                const breaker = this.getBreakerState(record);
+                const ad = this.escapeHTML(record.ad);
+                const countdown = breaker.resetAt
+                    ? `<div class="ad-stat breaker-countdown" data-reset-at="${breaker.resetAt}">${this.formatCountdown(breaker.resetAt - Date.now())}</div>`
+                    : '';
+                
+                return `
+                    <div class="ad-item breaker-item ${breaker.state}">
+                        <div class="ad-name">
+                            <span class="breaker-state ${breaker.state}">${breaker.label}</span>
+                            ${this.escapeHTML(String(record.ad).split(':')[1] || record.ad)}
+                        </div>
+                        <div class="ad-stats">
+                            <div class="ad-stat">${Number(record.failures) || 0}/${this.circuitBreaker.maxFailures} failures</div>
+                            ${countdown}
+                            <button class="btn-icon breaker-reset" data-ad="${ad}" title="Reset breaker for ${ad}">
+                                <i class="fas fa-undo"></i>
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+        
+        document.getElementById('breaker-update-time').textContent = `Updated: ${this.formatTime(new Date())}`;
+        this.startBreakerCountdown();
+    }
+
+    startBreakerCountdown() {
+        if (this.circuitBreaker.countdownTimer) {
+            clearInterval(this.circuitBreaker.countdownTimer);
+            this.circuitBreaker.countdownTimer = null;
+        }
+        
+        if (!document.querySelector('.breaker-countdown')) {
+            return;
+        }
+        
+        this.circuitBreaker.countdownTimer = setInterval(() => {
+            const countdowns = document.querySelectorAll('.breaker-countdown');
+            let expired = false;
+            countdowns.forEach(el => {
+                const remaining = Number(el.dataset.resetAt) - Date.now();
+                expired = expired || remaining <= 0;
+                el.textContent = this.formatCountdown(remaining);
+            });
+            
+            // Re-render so expired breakers move to half-open
+            if (expired) {
+                this.renderCircuitBreaker();
+            }
+        }, 1000);
+    }
+
+    formatCountdown(ms) {
+        if (ms <= 0) {
+            return 'Reset due';
+        }
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return `Resets in ${hours}h ${String(minutes).padStart(2, '0')}m ${String(seconds).padStart(2, '0')}s`;
+    }
+
+    async resetCircuitBreaker(ad) {
+        if (!ad || !confirm(`Reset circuit breaker for ${ad}? The next run will try this AD again.`)) {
+            return;
+        }
+        
+        try {
+            // Re-read the variable right before writing so concurrent runner updates aren't lost
+            const endpoint = `/repos/${this.config.owner}/${this.config.repo}/actions/variables/AD_FAILURE_DATA`;
+            const current = await this.githubAPI(endpoint);
+            const records = JSON.parse(current.value || '[]').filter(record => record.ad !== ad);
+            
+            await this.githubAPI(endpoint, {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    name: 'AD_FAILURE_DATA',
+                    value: JSON.stringify(records)
+                })
+            });
+            
+            this.circuitBreaker.records = records;
+            this.renderCircuitBreaker();
+            this.showSuccess(`Circuit breaker reset for ${ad}`);
+        } catch (error) {
+            this.showError('Failed to reset circuit breaker: ' + error.message);
+        }
+    }
+
+    async updatePerformanceMetrics() {
+        try {
+            const [thresholds, runs] = await Promise.all([
+                this.loadPerformanceThresholds(),
+                this.collectRunPerformance()
+            ]);
+            this.performance.thresholds = thresholds;
+            this.performance.runs = runs;
+            
+            const timed = runs.filter(run => run.executionTime !== null);
+            const latest = timed[timed.length - 1];
+            document.getElementById('perf-summary').textContent = latest
+                ? `Last run: ${latest.executionTime}s (target ≤ ${thresholds.execution_time.warning}s)`
+                : 'No PERF_METRIC data in recent runs';
+            
+            this.updatePerformanceChart(this.performance.view);
+            
+        } catch (error) {
+            console.error('Error loading performance metrics:', error);
+            document.getElementById('perf-summary').textContent = 'Error loading metrics';
+        }
+    }
+
+    async loadPerformanceThresholds() {
+        const maxAge = 10 * 60 * 1000;
+        if (this.performance.thresholds && Date.now() - this.performance.thresholdsFetchedAt < maxAge) {
+            return this.performance.thresholds;
+        }
+        
+        // Defaults match monitoring/metrics-template.yml in case the file is missing or unreadable
+        const thresholds = {
+            execution_time: { warning: 25, critical: 30 },
+            api_latency: { warning: 3000, critical: 5000 }
+        };
+        
+        try {
+            const template = this.parseYAML(await this.fetchRepoFile('monitoring/metrics-template.yml'));
+            Object.keys(thresholds).forEach(name => {
+                const kpi = template?.kpis?.[name];
+                if (!kpi) {
+                    return;
+                }
+                const critical = parseFloat(String(kpi.alert_condition || '').replace(/^[<>]=?\s*/, ''));
+                if (Number.isFinite(Number(kpi.threshold))) {
+                    thresholds[name].warning = Number(kpi.threshold);
+                }
+                if (Number.isFinite(critical)) {
+                    thresholds[name].critical = critical;
+                }
+            });
+        } catch (error) {
+            console.warn('Using default KPI thresholds:', error);
+        }
+        
+        this.performance.thresholdsFetchedAt = Date.now();
+        return thresholds;
+    }
+
+    async collectRunPerformance() {
+        if (this.snapshot) {
+            return this.snapshot.metrics.performance || [];
+        }
+        
+        const cache = this.loadPerformanceCache();
+        const result = await this.githubAPI(
+            `/repos/${this.config.owner}/${this.config.repo}/actions/workflows/${this.workflowFile}/runs?status=completed&per_page=20`);
+        const runs = (result.workflow_runs || []).filter(run => run.conclusion !== 'skipped');
+        
+        // Job logs are large, so only download the few newest runs we haven't parsed yet
+        const pending = runs.filter(run => !cache[run.id]).slice(0, 5);
+        await Promise.all(pending.map(async (run) => {
+            try {
+                cache[run.id] = {
+                    id: run.id,
+                    createdAt: run.created_at,
+                    conclusion: run.conclusion,
+                    ...this.parsePerformanceLog(await this.fetchRunLogs(run.id))
+                };
+            } catch (error) {
+                console.warn(`Failed to load logs for run ${run.id}:`, error);
+            }
+        }));
+        
+        this.savePerformanceCache(cache);
+        return Object.values(cache).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async fetchRunLogs(runId) {
+        const result = await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/runs/${runId}/jobs?per_page=100`);
+        const jobs = (result.jobs || []).filter(job => job.conclusion && job.conclusion !== 'skipped');
+        
+        // The logs endpoint redirects to a short-lived signed download URL
+        const logs = await Promise.all(jobs.map(job =>
+            this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/jobs/${job.id}/logs`, { raw: true })));
+        return logs.join('\n');
+    }
+
+    parsePerformanceLog(log) {
+        const metrics = { executionTime: null, apiCalls: [], phases: {} };
+        
+        log.split(/\r?\n/).forEach(rawLine => {
+            // Runner lines carry a timestamp prefix and ANSI colour codes from the log helpers
+            const line = this.stripAnsi(rawLine);
+            
+            // scripts/metrics.sh: PERF_METRIC|timestamp|type|value|info
+            const structured = line.match(/PERF_METRIC\|([^|]*)\|([A-Z_]+)\|([\d.]+)\|([^"|]*)/);
+            if (structured) {
+                const [, , type, value, info] = structured;
+                const [name, status] = info.trim().split(':');
+                if (type === 'API_RESPONSE_TIME') {
+                    metrics.apiCalls.push({ operation: name, ms: parseFloat(value), status: status || '' });
+                } else if (type === 'EXECUTION_PHASE') {
+                    metrics.phases[name] = parseFloat(value);
+                    if (name === 'parallel_execution') {
+                        metrics.executionTime = parseFloat(value);
+                    }
+                }
+                return;
+            }
+            
+            // scripts/utils.sh log_performance_metric: CONCURRENT_END carries the parallel execution summary
+            const summary = line.match(/PERF_METRIC: \[[^\]]*\] CONCURRENT_END:.*ExecutionTime=([\d.]+)s/);
+            if (summary && metrics.executionTime === null) {
+                metrics.executionTime = parseFloat(summary[1]);
+            }
+        });
+        
+        return metrics;
+    }
+
+    updatePerformanceChart(view = 'execution') {
+        this.performance.view = view;
+        const { runs, thresholds } = this.performance;
+        if (!thresholds) {
+            return;
+        }
+        
+        const isLatency = view === 'latency';
+        const limits = isLatency ? thresholds.api_latency : thresholds.execution_time;
+        const unit = isLatency ? 'ms' : 's';
+        const points = runs
+            .map(run => {
+                if (!isLatency) {
+                    return { run, value: run.executionTime, max: null };
+                }
+                const times = run.apiCalls.map(call => call.ms);
+                return {
+                    run,
+                    value: times.length ? Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length) : null,
+                    max: times.length ? Math.max(...times) : null
+                };
+            })
+            .filter(point => point.value !== null);
+        
+        if (this.libraryFallbacks.chartjs || typeof Chart === 'undefined') {
+            this.renderFallbackChart('perf-chart', points.map(point => point.value), 'line');
+            return;
+        }
+        
+        const labels = points.map(point => this.formatDateSafe(point.run.createdAt));
+        const thresholdLine = (label, value, color) => ({
+            label: `${label} (${value}${unit})`,
+            data: labels.map(() => value),
+            borderColor: color,
+            borderWidth: 1,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            fill: false
+        });
+        const datasets = [{
+            label: isLatency ? 'Avg OCI API latency' : 'Parallel execution time',
+            data: points.map(point => point.value),
+            borderColor: '#3b82f6',
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            borderWidth: 2,
+            fill: true,
+            tension: 0.3
+        }];
+        if (isLatency) {
+            datasets.push({
+                label: 'Max OCI API latency',
+                data: points.map(point => point.max),
+                borderColor: '#8b5cf6',
+                borderWidth: 1,
+                fill: false,
+                tension: 0.3
+            });
+        }
+        datasets.push(
+            thresholdLine('Warning', limits.warning, '#f59e0b'),
+            thresholdLine('Critical', limits.critical, '#ef4444')
+        );
+        
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: isLatency ? 'Milliseconds' : 'Seconds' }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom'
+                }
+            }
+        };
+        
+        if (!this.charts.performance) {
+            this.charts.performance = new Chart(document.getElementById('perf-chart'), {
+                type: 'line',
+                data: { labels, datasets },
+                options
+            });
+            return;
+        }
+        
+        this.charts.performance.data.labels = labels;
+        this.charts.performance.data.datasets = datasets;
+        this.charts.performance.options = options;
+        this.charts.performance.update();
+    }
+
+    loadPerformanceCache() {
+        try {
+            return JSON.parse(localStorage.getItem(`oic-dashboard-perf-${this.config.owner}/${this.config.repo}`)) || {};
+        } catch (error) {
+            console.warn('Ignoring corrupt performance cache:', error);
+            return {};
+        }
+    }
+
+    savePerformanceCache(cache) {
+        // Keep the 50 newest runs - run IDs increase monotonically
+        const trimmed = {};
+        Object.keys(cache)
+            .sort((a, b) => Number(b) - Number(a))
+            .slice(0, 50)
+            .forEach(id => { trimmed[id] = cache[id]; });
+        
+        try {
+            localStorage.setItem(`oic-dashboard-perf-${this.config.owner}/${this.config.repo}`, JSON.stringify(trimmed));
+        } catch (error) {
+            console.warn('Failed to persist performance cache:', error);
+        }
+    }
+
+    async updateFailureBreakdown() {
+        try {
+            const runs = await this.collectRunFailures();
+            this.failures.runs = runs;
+            this.failures.byId = new Map(runs.map(run => [run.id, run]));
+            
+            // The chart covers the newest 30 classified runs; older ones only label the run history
+            const recent = runs.slice(-30);
+            const totals = Object.keys(this.failures.categories).map(category =>
+                `${recent.filter(run => run.category === category).length} ${this.failures.categories[category].label.toLowerCase()}`);
+            document.getElementById('failure-summary').textContent = recent.length
+                ? `${recent.length} runs: ${totals.join(', ')}`
+                : 'No classified runs yet';
+            
+            this.updateFailureChart(recent);
+            this.renderFailureCauses(recent);
+            if (this.runsView.runs.length) {
+                this.renderWorkflowRuns();
+            }
+        } catch (error) {
+            console.error('Error loading failure breakdown:', error);
+            document.getElementById('failure-summary').textContent = 'Error loading run logs';
+        }
+    }
+
+    async collectRunFailures() {
+        if (this.snapshot) {
+            return this.snapshot.metrics.failures || [];
+        }
+        
+        const cache = this.loadFailureCache();
+        const result = await this.githubAPI(
+            `/repos/${this.config.owner}/${this.config.repo}/actions/workflows/${this.workflowFile}/runs?status=completed&per_page=30`);
+        const runs = (result.workflow_runs || []).filter(run => ['success', 'failure', 'timed_out'].includes(run.conclusion));
+        
+        // Same budget as the performance panel - a few log downloads per refresh until the window is filled
+        const pending = runs.filter(run => !cache[run.id]).slice(0, 5);
+        await Promise.all(pending.map(async (run) => {
+            try {
+                cache[run.id] = {
+                    id: run.id,
+                    runNumber: run.run_number,
+                    createdAt: run.created_at,
+                    conclusion: run.conclusion,
+                    ...this.classifyRunLog(run, await this.fetchRunLogs(run.id))
+                };
+            } catch (error) {
+                console.warn(`Failed to classify run ${run.id}:`, error);
+            }
+        }));
+        
+        this.saveFailureCache(cache);
+        return Object.values(cache).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    loadFailureCache() {
+        try {
+            return JSON.parse(localStorage.getItem(`oic-dashboard-failures-${this.config.owner}/${this.config.repo}`)) || {};
+        } catch (error) {
+            console.warn('Ignoring corrupt failure cache:', error);
+            return {};
+        }
+    }
+
+    saveFailureCache(cache) {
+        // Causes are small, so keep more history than the performance cache
+        const trimmed = {};
+        Object.keys(cache)
+            .sort((a, b) => Number(b) - Number(a))
+            .slice(0, 200)
+            .forEach(id => { trimmed[id] = cache[id]; });
+        
+        try {
+            localStorage.setItem(`oic-dashboard-failures-${this.config.owner}/${this.config.repo}`, JSON.stringify(trimmed));
+        } catch (error) {
+            console.warn('Failed to persist failure cache:', error);
+        }
+    }
+
+    updateFailureChart(runs) {
+        const categories = this.failures.categories;
+        const days = [...new Set(runs.map(run => run.createdAt.slice(0, 10)))];
+        const counts = Object.keys(categories).map(category =>
+            days.map(day => runs.filter(run => run.category === category && run.createdAt.startsWith(day)).length));
+        
+        if (this.libraryFallbacks.chartjs || typeof Chart === 'undefined') {
+            this.renderFallbackChart('failure-chart', days.map((day, index) => counts.reduce((sum, series) => sum + series[index], 0)), 'bar');
+            return;
+        }
+        
+        const datasets = Object.entries(categories).map(([category, { label, color }], index) => ({
+            label,
+            data: counts[index],
+            backgroundColor: color,
+            stack: 'runs',
+            category
+        }));
+        const options = {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { stacked: true },
+                y: { stacked: true, beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Runs' } }
+            },
+            plugins: {
+                legend: { position: 'bottom' },
+                tooltip: {
+                    callbacks: {
+                        // List the causes behind each bar segment
+                        afterLabel: (item) => {
+                            const day = days[item.dataIndex];
+                            const category = item.dataset.category;
+                            const labels = runs.filter(run => run.category === category && run.createdAt.startsWith(day)).map(run => run.label);
+                            return [...new Set(labels)].map(label => `${label}: ${labels.filter(other => other === label).length}`);
+                        }
+                    }
+                }
+            }
+        };
+        
+        if (!this.charts.failures) {
+            this.charts.failures = new Chart(document.getElementById('failure-chart'), {
+                type: 'bar',
+                data: { labels: days, datasets },
+                options
+            });
+            return;
+        }
+        
+        this.charts.failures.data.labels = days;
+        this.charts.failures.data.datasets = datasets;
+        this.charts.failures.options = options;
+        this.charts.failures.update();
+    }
+
+    renderFailureCauses(runs) {
+        const container = document.getElementById('failure-causes');
+        const causes = new Map();
+        runs.filter(run => this.failures.categories[run.category]).forEach(run => {
+            const cause = causes.get(run.label) || { label: run.label, category: run.category, count: 0, last: run };
+            cause.count++;
+            cause.last = run;
+            causes.set(run.label, cause);
+        });
+        
+        if (!causes.size) {
+            container.innerHTML = '';
+            return;
+        }
+        container.innerHTML = [...causes.values()].sort((a, b) => b.count - a.count).map(cause => `
+            <div class="failure-cause ${cause.category}" title="${this.escapeHTML(cause.last.detail)}">
+                <span class="failure-cause-label">${this.escapeHTML(cause.label)}</span>
+                <span class="run-meta">${cause.count} run${cause.count === 1 ? '' : 's'}, last #${this.escapeHTML(cause.last.runNumber)}</span>
+            </div>
+        `).join('');
+    }
+
+    async updateScheduleInfo() {
+        try {
+            // Parse the cron entries of the actual workflow file
+            await this.loadWorkflowSchedule();
+            
+            // Calculate next run time based on cron schedules
+            const nextRun = this.calculateNextRun();
+            const nextRunEl = document.getElementById('next-run');
+            if (!this.schedule.enabled) {
+                nextRunEl.textContent = 'Disabled';
+            } else {
+                nextRunEl.textContent = nextRun ? this.formatNextRun(nextRun) : '--:--';
+            }
+            
+            // Determine which tier fires next
+            const context = this.getCurrentScheduleContext();
+            document.getElementById('schedule-context').textContent = context;
+            
+            // Start the builder from the workflow's own tiers
+            if (!this.scheduleBuilder.seeded) {
+                this.loadBuilderFromWorkflow();
+            }
+            
+        } catch (error) {
+            console.error('Error loading workflow schedule:', error);
+            document.getElementById('next-run').textContent = '--:--';
+            document.getElementById('schedule-context').textContent = 'Error calculating schedule';
+        }
+    }
+
+    updateSuccessPatternChart(days, model = null) {
+        // Without a model (no pattern data, or it failed to load) the chart stays empty like the stat card
+        const daily = model ? this.computeDailySuccess(model, days) : { labels: [], rates: [] };
+        const empty = document.getElementById('success-pattern-empty');
+        const hasData = daily.rates.some(rate => rate !== null);
+        empty.hidden = hasData;
+        empty.textContent = model?.launches.length ? `No launch attempts in the last ${days} days` : 'No launch attempts recorded';
+        
+        // Use fallback rendering if Chart.js is unavailable
+        if (this.libraryFallbacks.chartjs) {
+            this.renderFallbackChart('success-pattern-chart', hasData ? daily.rates.map(rate => rate || 0) : [], 'line');
+            return;
+        }
+        
+        this.charts.successPattern.data.labels = hasData ? daily.labels : [];
+        this.charts.successPattern.data.datasets[0].data = hasData ? daily.rates : [];
+        this.charts.successPattern.update();
+    }
+
+    computeDailySuccess(model, days) {
+        // Per-day rate over launch attempts only; days without launches stay null so the line breaks instead of dropping to 0%
+        const dailyStats = {};
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+        
+        model.launches.forEach(pattern => {
+            const timestamp = new Date(pattern.timestamp);
+            if (timestamp >= cutoffDate) {
+                const date = timestamp.toDateString();
+                if (!dailyStats[date]) {
+                    dailyStats[date] = { total: 0, success: 0 };
+                }
+                dailyStats[date].total++;
+                if (pattern.kind === 'success') {
+                    dailyStats[date].success++;
+                }
+            }
+        });
+        
+        const labels = [];
+        const rates = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const stats = dailyStats[date.toDateString()];
+            
+            labels.push(date.toLocaleDateString());
+            rates.push(stats ? Math.round((stats.success / stats.total) * 100) : null);
+        }
+        
+        return { labels, rates };
+    }
+
+    // Setup offline event handlers
+    setupOfflineHandlers() {
+        window.addEventListener('online', () => {
+            console.log('🌐 Connection restored');
+            this.checkOfflineStatus();
+        });
+        
+        window.addEventListener('offline', () => {
+            console.log('📵 Connection lost');
+            this.checkOfflineStatus();
+        });
+        
+        // Check periodically as well (navigator.onLine can be unreliable)
+        setInterval(() => {
+            this.checkOfflineStatus();
+        }, 30000); // Check every 30 seconds
+    }
+
+    // Offline Mode Management
+    checkOfflineStatus() {
+        const isOnline = navigator.onLine;
+        const wasOffline = this.offlineMode.enabled;
+        
+        this.offlineMode.enabled = !isOnline;
+        
+        // Show/hide offline indicator
+        const offlineIndicator = document.getElementById('offline-indicator');
+        if (!offlineIndicator) {
+            this.createOfflineIndicator();
+        }
+        
+        if (!isOnline && !wasOffline) {
+            console.warn('🔌 Dashboard is now offline - using cached data');
+            this.showOfflineMode();
+        } else if (isOnline && wasOffline) {
+            console.log('🌐 Connection restored - refreshing data');
+            this.hideOfflineMode();
+            this.refreshData();
+        }
+    }
+
+    createOfflineIndicator() {
+        const indicator = document.createElement('div');
+        indicator.id = 'offline-indicator';
+        indicator.innerHTML = `
+            <div class="offline-banner">
+                <span>📵 Offline Mode</span>
+                <small>Using cached data</small>
+            </div>
+        `;
+        indicator.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            z-index: 1000;
+            display: none;
+            background: linear-gradient(45deg, #ff9800, #f57c00);
+            color: white;
+            text-align: center;
+            padding: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+        `;
+        document.body.appendChild(indicator);
+    }
+
+    showOfflineMode() {
+        const indicator = document.getElementById('offline-indicator');
+        if (indicator) {
+            indicator.style.display = 'block';
+        }
+        
+        // Re-render every panel from the cached responses (init renders them itself once the config is loaded)
+        if (this.config.owner && this.config.repo) {
+            this.refreshData();
+        }
+        
+        // Disable refresh functionality
+        const refreshBtn = document.getElementById('refresh-data');
+        if (refreshBtn) {
+            refreshBtn.disabled = true;
+            refreshBtn.title = 'Cannot refresh in offline mode';
+        }
+        
+        this.showNotification('Offline mode: Using cached data', 'info');
+    }
+
+    hideOfflineMode() {
+        const indicator = document.getElementById('offline-indicator');
+        if (indicator) {
+            indicator.style.display = 'none';
+        }
+        
+        // Re-enable refresh functionality
+        const refreshBtn = document.getElementById('refresh-data');
+        if (refreshBtn) {
+            refreshBtn.disabled = false;
+            refreshBtn.title = 'Refresh dashboard data';
+        }
+        
+        this.showNotification('Connection restored', 'success');
+    }
+
+    openOfflineCache() {
+        if (!this.offlineMode.db) {
+            this.offlineMode.db = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open('oic-dashboard', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('responses', { keyPath: 'key' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.offlineMode.db;
+    }
+
+    async withOfflineStore(mode, operation) {
+        const db = await this.openOfflineCache();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('responses', mode);
+            const request = operation(transaction.objectStore('responses'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    storeOfflineResponse(key, data) {
+        // Same key as snapshot responses: accept header and endpoint, without the auth mode; logs are skipped for size.
+        // IndexedDB is plain text in every token storage mode, so anything fetched with a token stays off the disk
+        const requestKey = key.slice(key.indexOf(' ') + 1);
+        if (requestKey.endsWith('/logs') || key.startsWith('auth ')) {
+            return;
+        }
+        this.withOfflineStore('readwrite', store => store.put({ key: requestKey, data, fetchedAt: Date.now() }))
+            .catch(error => console.warn('Failed to cache response for offline use:', error));
+    }
+
+    async getOfflineResponse(endpoint, method, accept) {
+        if (method !== 'GET') {
+            throw new Error('Unavailable while offline');
+        }
+        
+        const panel = this.offlineMode.panel;
+        const record = await this.withOfflineStore('readonly', store => store.get(`${accept} ${endpoint}`));
+        if (!record) {
+            if (panel) {
+                panel.misses++;
+            }
+            throw new Error('Not available offline - no cached copy');
+        }
+        if (panel) {
+            panel.oldest = Math.min(panel.oldest, record.fetchedAt);
+        }
+        return record.data;
+    }
+
+    async loadPanelOffline(load, elementIds) {
+        const panel = { oldest: Infinity, misses: 0 };
+        this.offlineMode.panel = panel;
+        try {
+            await load();
+        } finally {
+            this.offlineMode.panel = null;
+        }
+        
+        let label = null;
+        if (Number.isFinite(panel.oldest)) {
+            label = `Cached ${this.formatDuration(Math.floor((Date.now() - panel.oldest) / 1000))} ago`;
+        } else if (panel.misses) {
+            label = 'Not cached';
+        }
+        elementIds.forEach(id => {
+            const container = document.getElementById(id)?.closest('.stat-card, .chart-container, .data-container, .optimization-container');
+            if (container && label) {
+                container.dataset.stale = label;
+            } else if (container) {
+                delete container.dataset.stale;
+            }
+        });
+    }
+
+    async pruneOfflineCache() {
+        // Older versions kept a DOM-scraped copy in localStorage
+        localStorage.removeItem('oic-dashboard-cache');
+        
+        const cutoff = Date.now() - this.offlineMode.maxAgeDays * 24 * 3600 * 1000;
+        try {
+            await this.withOfflineStore('readwrite', store => {
+                const request = store.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        if (cursor.value.fetchedAt < cutoff) {
+                            cursor.delete();
+                        }
+                        cursor.continue();
+                    }
+                };
+                return request;
+            });
+        } catch (error) {
+            console.warn('Offline cache unavailable:', error);
+        }
+    }
+
+    async updateRegionalAnalysis(region = 'auto') {
+        const container = document.getElementById('schedule-recommendations');
+        
+        try {
+            const regions = await this.loadRegionConfig();
+            const resolved = region === 'auto' ? await this.detectRegion(regions) : region;
+            this.populateRegionSelector(regions);
+            
+            // Regional schedule recommendations
+            const recommendations = this.getRegionalRecommendations(regions, resolved);
+            if (!recommendations.length) {
+                container.innerHTML = `<div class="loading">No schedule_pattern for ${this.escapeHTML(resolved)} in config/regions.yml</div>`;
+                return;
+            }
+            
+            container.innerHTML = recommendations.map(rec => `
+                <div class="schedule-card">
+                    <div class="schedule-title">${this.escapeHTML(rec.title)}</div>
+                    <div class="schedule-details">${this.escapeHTML(rec.description)}</div>
+                    <div class="schedule-metrics">
+                        <div class="metric">Cron: ${this.escapeHTML(rec.cron)}</div>
+                        <div class="metric">${rec.frequency}</div>
+                        <div class="metric">${rec.usage}</div>
+                    </div>
+                </div>
+            `).join('');
+            
+        } catch (error) {
+            console.error('Error loading regional analysis:', error);
+            container.innerHTML = '<div class="loading">Error loading config/regions.yml</div>';
+        }
+    }
+
+    async loadRegionConfig() {
+        const maxAge = 10 * 60 * 1000;
+        if (this.regionConfig && Date.now() - this.regionConfig.fetchedAt < maxAge) {
+            return this.regionConfig.regions;
+        }
+        
+        const config = this.parseYAML(await this.fetchRepoFile('config/regions.yml'));
+        this.regionConfig = {
+            regions: config?.regions || {},
+            fetchedAt: Date.now()
+        };
+        return this.regionConfig.regions;
+    }
+
+    populateRegionSelector(regions) {
+        // The panel refreshes every 30s - rebuilding unchanged options would close an open dropdown
+        const key = JSON.stringify([this.detectedRegion, Object.entries(regions).map(([id, region]) => [id, region.name])]);
+        if (key === this.regionSelectorKey) {
+            return;
+        }
+        this.regionSelectorKey = key;
+        
+        const selector = document.getElementById('region-selector');
+        const selected = selector.value;
+        const detected = this.detectedRegion ? ` (${regions[this.detectedRegion]?.name || this.detectedRegion})` : '';
+        
+        selector.innerHTML = `<option value="auto">Auto-detect Region${this.escapeHTML(detected)}</option>` +
+            Object.entries(regions).map(([id, region]) =>
+                `<option value="${this.escapeHTML(id)}">${this.escapeHTML(region.name || id)}</option>`).join('');
+        selector.value = regions[selected] ? selected : 'auto';
+    }
+
+    async detectRegion(regions) {
+        // Prefer the AD the instance was created in, then the ADs attempted most often
+        const ads = [];
+        if (this.config.token || this.snapshot) {
+            try {
+                const variables = await this.listRepoVariables();
+                const find = (name) => variables.find(v => v.name === name)?.value;
+                
+                const info = find('INSTANCE_CREATED_INFO');
+                if (info) {
+                    ads.push(JSON.parse(info).ad);
+                }
+                
+                const counts = {};
+                this.buildSuccessModel(this.parsePatternData(find('SUCCESS_PATTERN_DATA'))).launches.forEach(pattern => {
+                    if (pattern.ad) {
+                        counts[pattern.ad] = (counts[pattern.ad] || 0) + 1;
+                    }
+                });
+                ads.push(...Object.keys(counts).sort((a, b) => counts[b] - counts[a]));
+            } catch (error) {
+                console.warn('Region auto-detection unavailable:', error);
+            }
+        }
+        
+        this.detectedRegion = ads.map(ad => this.getRegionFromAD(ad, regions)).find(Boolean) || null;
+        // Same default as scripts/schedule-optimizer.sh
+        return this.detectedRegion || (regions['ap-singapore-1'] ? 'ap-singapore-1' : Object.keys(regions)[0]);
+    }
+
+    getRegionFromAD(ad, regions) {
+        // "fgaj:AP-SINGAPORE-1-AD-1" -> "ap-singapore-1"
+        const match = String(ad || '').split(':').pop().match(/^(.+)-AD-\d+$/i);
+        const region = match ? match[1].toLowerCase() : null;
+        return region && regions[region] ? region : null;
+    }
+
+    getRegionalRecommendations(regions, region) {
+        const pattern = regions[region]?.schedule_pattern;
+        if (!pattern || !pattern.low_usage_window) {
+            return [];
+        }
+        
+        // Convert the local low-usage window to UTC minutes of the day
+        const toMinutes = (time) => {
+            const [hours, minutes = '0'] = String(time).trim().split(':');
+            return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+        };
+        const formatMinutes = (minutes) =>
+            `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        const offset = this.parseUTCOffset(pattern.utc_offset);
+        const [localStart, localEnd] = String(pattern.low_usage_window).split('-').map(toMinutes);
+        const length = (localEnd - localStart + 1440) % 1440;
+        const utcStart = (localStart - offset + 1440) % 1440;
+        const utcEnd = (utcStart + length) % 1440;
+        
+        // Whole UTC hours touched by the window (half-hour offsets round outwards), grouped by the
+        // UTC weekdays they fall on - hours past UTC midnight belong to the next or previous UTC day
+        const hoursByDays = (localDays) => {
+            const days = new Map();
+            localDays.forEach(day => {
+                for (let minute = 0; minute < length; minute++) {
+                    const utc = (day * 1440 + localStart + minute - offset + 7 * 1440) % (7 * 1440);
+                    const hour = Math.floor((utc % 1440) / 60);
+                    days.set(hour, (days.get(hour) || new Set()).add(Math.floor(utc / 1440)));
+                }
+            });
+            const groups = new Map();
+            days.forEach((utcDays, hour) => {
+                const dayList = utcDays.size === 7 ? '*' : this.formatCronList([...utcDays]);
+                groups.set(dayList, [...(groups.get(dayList) || []), hour]);
+            });
+            return [...groups].map(([dayList, hours]) => ({ dayList, hours }));
+        };
+        // One tier per group of UTC days, e.g. a weekday window that crosses UTC midnight needs two
+        const tiers = (title, description, step, localDays) => {
+            const groups = hoursByDays(localDays);
+            return groups.map(group => ({
+                title: groups.length > 1 ? `${title} (UTC days ${group.dayList})` : title,
+                description,
+                cron: `${step} ${this.formatCronList(group.hours)} * * ${group.dayList}`
+            }));
+        };
+        
+        const lowHours = new Set(hoursByDays([...Array(7).keys()]).flatMap(group => group.hours));
+        const otherHours = [...Array(24).keys()].filter(hour => !lowHours.has(hour));
+        const timezone = pattern.timezone || 'local';
+        const utcWindow = `${formatMinutes(utcStart)}-${formatMinutes(utcEnd)} UTC (${pattern.low_usage_window} ${timezone})`;
+        
+        // Local weekdays are Monday-Friday in the region's timezone, converted to UTC with the hours
+        const recommendations = [
+            ...tiers('Off-Peak Aggressive', `${utcWindow} - low-usage window${pattern.weekdays_only ? ' on weekdays' : ''}`,
+                '*/15', pattern.weekdays_only ? [1, 2, 3, 4, 5] : [...Array(7).keys()]),
+            {
+                title: 'Peak Conservative',
+                description: `Hourly outside the low-usage window - avoids ${timezone} peak demand`,
+                cron: `0 ${this.formatCronList(otherHours)} * * *`
+            }
+        ];
+        if (pattern.weekdays_only) {
+            recommendations.push(...tiers('Weekend Boost', `${utcWindow} on weekends - lower weekend demand`, '*/20', [6, 0]));
+        }
+        
+        return recommendations.map(rec => ({ ...rec, ...this.estimateCronUsage(rec.cron) }));
+    }
+
+    parseUTCOffset(offset) {
+        const match = String(offset || '+00:00').match(/^([+-])(\d{1,2})(?::?(\d{2}))?$/);
+        if (!match) {
+            return 0;
+        }
+        const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+        return match[1] === '-' ? -minutes : minutes;
+    }
+
+    formatCronList(values) {
+        // [0, 1, 8, 9, 10] -> "0-1,8-10"
+        const sorted = [...values].sort((a, b) => a - b);
+        const ranges = [];
+        sorted.forEach(hour => {
+            const last = ranges[ranges.length - 1];
+            if (last && hour === last[1] + 1) {
+                last[1] = hour;
+            } else {
+                ranges.push([hour, hour]);
+            }
+        });
+        return ranges.map(([from, to]) => from === to ? `${from}` : `${from}-${to}`).join(',');
+    }
+
+    estimateCronUsage(cron) {
+        // Each run bills at least one minute
+        const parsed = this.parseCronExpression(cron);
+        const days = [...Array(7).keys()].filter(day => parsed.daysOfWeek.has(day));
+        const perDay = parsed.hours.size * parsed.minutes.size;
+        const weekly = perDay * days.length;
+        
+        let frequency = `${weekly} runs/week`;
+        if (days.length === 7) {
+            frequency = `${perDay} runs/day`;
+        } else if (days.join() === '0,6') {
+            frequency = `${weekly} runs/weekend`;
+        } else if (days.join() === '1,2,3,4,5') {
+            frequency = `${perDay} runs/weekday`;
+        }
+        
+        return { frequency, usage: `${Math.round(weekly * 30 / 7)} min/month` };
+    }
+
+    // Schedule builder - edits cron tiers and previews their combined coverage
+    loadBuilderFromWorkflow() {
+        if (!this.schedule) {
+            return;
+        }
+        
+        this.scheduleBuilder.tiers = this.schedule.entries.map(entry => ({
+            name: entry.description || entry.tier,
+            cron: entry.cron
+        }));
+        this.scheduleBuilder.activeTier = 0;
+        this.scheduleBuilder.seeded = true;
+        this.updateScheduleBuilder();
+    }
+
+    async loadBuilderFromRegion() {
+        try {
+            const regions = await this.loadRegionConfig();
+            const selected = document.getElementById('region-selector').value;
+            const region = selected === 'auto' ? await this.detectRegion(regions) : selected;
+            const recommendations = this.getRegionalRecommendations(regions, region);
+            if (!recommendations.length) {
+                this.showError(`No schedule_pattern for ${region} in config/regions.yml`);
+                return;
+            }
+            
+            this.scheduleBuilder.tiers = recommendations.map(rec => ({ name: rec.title, cron: rec.cron }));
+            this.scheduleBuilder.activeTier = 0;
+            this.scheduleBuilder.seeded = true;
+            this.updateScheduleBuilder();
+        } catch (error) {
+            this.showError('Failed to load regional recommendations: ' + error.message);
+        }
+    }
+
+    removeBuilderTier(index) {
+        const builder = this.scheduleBuilder;
+        builder.tiers.splice(index, 1);
+        builder.activeTier = Math.min(builder.activeTier, Math.max(0, builder.tiers.length - 1));
+        this.updateScheduleBuilder();
+    }
+
+    toggleBuilderField(field, value) {
+        // Heatmap headers toggle an hour or weekday of the selected tier's cron expression
+        const tier = this.scheduleBuilder.tiers[this.scheduleBuilder.activeTier];
+        if (!tier) {
+            return;
+        }
+        
+        let parsed;
+        try {
+            parsed = this.parseCronExpression(tier.cron);
+        } catch (error) {
+            this.showError(`Fix the cron expression of "${tier.name}" first`);
+            return;
+        }
+        
+        const fields = parsed.expression.split(' ');
+        const index = field === 'hours' ? 1 : 4;
+        const values = new Set(field === 'hours' ? parsed.hours : parsed.daysOfWeek);
+        const size = field === 'hours' ? 24 : 7;
+        if (values.has(value)) {
+            // A cron field can't be empty - remove the tier instead
+            if (values.size === 1) {
+                return;
+            }
+            values.delete(value);
+        } else {
+            values.add(value);
+        }
+        
+        fields[index] = values.size === size ? '*' : this.formatCronList(values);
+        tier.cron = fields.join(' ');
+        this.updateScheduleBuilder();
+    }
+
+    computeScheduleCoverage(tiers) {
+        // One slot per minute of the week (Sunday 00:00 UTC first). A minute matched by several
+        // tiers still triggers a single run, so overlaps are counted once
+        const parsed = tiers.map(tier => {
+            try {
+                return this.parseCronExpression(tier.cron);
+            } catch (error) {
+                return null;
+            }
+        });
+        const slots = new Uint8Array(7 * 1440);
+        const tierRuns = parsed.map(() => 0);
+        let overlaps = 0;
+        
+        for (let day = 0; day < 7; day++) {
+            for (let hour = 0; hour < 24; hour++) {
+                const active = parsed
+                    .map((cron, index) => cron && cron.daysOfWeek.has(day) && cron.hours.has(hour) ? index : -1)
+                    .filter(index => index >= 0);
+                if (!active.length) {
+                    continue;
+                }
+                for (let minute = 0; minute < 60; minute++) {
+                    const matches = active.filter(index => parsed[index].minutes.has(minute));
+                    matches.forEach(index => { tierRuns[index]++; });
+                    if (matches.length) {
+                        slots[day * 1440 + hour * 60 + minute] = 1;
+                        overlaps += matches.length - 1;
+                    }
+                }
+            }
+        }
+        
+        const weekly = slots.reduce((sum, slot) => sum + slot, 0);
+        return {
+            slots,
+            weekly,
+            overlaps,
+            tierRuns,
+            invalid: tiers.filter((tier, index) => !parsed[index]),
+            // Same month approximation as estimateCronUsage()
+            monthly: Math.round(weekly * 30 / 7)
+        };
+    }
+
+    updateScheduleBuilder(renderTiers = true) {
+        const builder = this.scheduleBuilder;
+        const coverage = this.computeScheduleCoverage(builder.tiers);
+        
+        // Typing in a tier only refreshes its run count, so the input keeps focus
+        if (renderTiers) {
+            this.renderBuilderTiers();
+        }
+        document.querySelectorAll('#builder-tier-list .builder-tier').forEach(row => {
+            const index = Number(row.dataset.index);
+            const invalid = coverage.invalid.includes(builder.tiers[index]);
+            row.classList.toggle('invalid', invalid);
+            row.querySelector('.builder-tier-runs').textContent = invalid ? 'Invalid cron' : `${coverage.tierRuns[index]} runs/week`;
+        });
+        
+        this.renderBuilderHeatmap(coverage);
+        this.renderBuilderSummary(coverage);
+        document.getElementById('builder-yaml').textContent = this.buildScheduleYAML(builder.tiers, coverage);
+    }
+
+    renderBuilderTiers() {
+        const builder = this.scheduleBuilder;
+        document.getElementById('builder-tier-list').innerHTML = builder.tiers.map((tier, index) => `
+            <div class="builder-tier" data-index="${index}">
+                <input type="radio" name="builder-active" ${index === builder.activeTier ? 'checked' : ''} title="Edit this tier from the heatmap headers">
+                <input type="text" class="builder-tier-name" value="${this.escapeHTML(tier.name)}" placeholder="Tier name">
+                <input type="text" class="builder-tier-cron" value="${this.escapeHTML(tier.cron)}" placeholder="*/15 2-7 * * 1-5" spellcheck="false">
+                <span class="builder-tier-runs"></span>
+                <button type="button" class="btn-icon builder-remove" title="Remove tier">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('') || '<div class="loading">No tiers - add one to start</div>';
+    }
+
+    renderBuilderHeatmap(coverage) {
+        const local = this.scheduleBuilder.timezone === 'local';
+        // Browser offset in minutes east of UTC; only the heatmap shifts, cron stays in UTC
+        const offset = local ? -new Date().getTimezoneOffset() : 0;
+        const counts = Array.from({ length: 7 }, () => new Array(24).fill(0));
+        coverage.slots.forEach((slot, minute) => {
+            if (slot) {
+                const shifted = (minute + offset + 7 * 1440) % (7 * 1440);
+                counts[Math.floor(shifted / 1440)][Math.floor((shifted % 1440) / 60)]++;
+            }
+        });
+        const max = Math.max(1, ...counts.flat());
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const toUTCHour = (hour) => ((hour - Math.round(offset / 60)) % 24 + 24) % 24;
+        
+        // Monday first; weekday headers only toggle in UTC, where rows line up with cron days
+        const rows = [1, 2, 3, 4, 5, 6, 0].map(day => `
+            <div class="heatmap-row">
+                <div class="${local ? 'heatmap-label' : 'heatmap-label builder-day'}" data-day="${day}">${dayNames[day]}</div>
+                ${counts[day].map((runs, hour) => `
+                    <div class="heatmap-cell" style="background: rgba(37, 99, 235, ${runs ? 0.15 + 0.85 * runs / max : 0})" title="${dayNames[day]} ${String(hour).padStart(2, '0')}:00 ${local ? 'local' : 'UTC'} - ${runs} runs">${runs || ''}</div>
+                `).join('')}
+            </div>
+        `).join('');
+        
+        document.getElementById('builder-heatmap').innerHTML = `
+            <div class="heatmap-row">
+                <div class="heatmap-label"></div>
+                ${[...Array(24).keys()].map(hour => `<div class="heatmap-label builder-hour" data-hour="${toUTCHour(hour)}">${hour}</div>`).join('')}
+            </div>
+            ${rows}
+        `;
+    }
+
+    renderBuilderSummary(coverage) {
+        const runMinutes = Math.max(1, parseInt(document.getElementById('builder-run-minutes').value, 10) || 1);
+        const minutes = coverage.monthly * runMinutes;
+        const limit = this.getPlanLimit();
+        
+        let status = '';
+        if (limit && minutes > limit) {
+            status = `<div class="builder-warning">⚠️ Exceeds the ${limit} min/month plan limit by ${minutes - limit} minutes</div>`;
+        } else if (limit && minutes > limit * 0.9) {
+            status = `<div class="builder-warning">⚠️ Uses ${Math.round(minutes / limit * 100)}% of the ${limit} min/month plan limit - little room for manual runs</div>`;
+        } else if (limit) {
+            status = `<div class="builder-ok">✅ Within the ${limit} min/month plan limit (${limit - minutes} minutes to spare)</div>`;
+        }
+        
+        document.getElementById('builder-summary').innerHTML = `
+            <div class="schedule-metrics">
+                <div class="metric">${Math.round(coverage.weekly / 7)} runs/day average</div>
+                <div class="metric">${coverage.weekly} runs/week</div>
+                <div class="metric">${coverage.monthly} runs/month</div>
+                <div class="metric">${minutes} billable min/month</div>
+                ${coverage.overlaps ? `<div class="metric">${coverage.overlaps} overlapping triggers/week counted once</div>` : ''}
+            </div>
+            ${status}
+            ${coverage.invalid.length ? `<div class="builder-warning">Skipped invalid tiers: ${coverage.invalid.map(tier => this.escapeHTML(tier.name)).join(', ')}</div>` : ''}
+        `;
+    }
+
+    buildScheduleYAML(tiers, coverage) {
+        // Indented for the workflow's "on:" block; "# TIER n:" comments let parseWorkflowSchedules() read the names back
+        const valid = tiers.filter(tier => !coverage.invalid.includes(tier));
+        if (!valid.length) {
+            return '# No valid tiers';
+        }
+        
+        const lines = ['  schedule:', `    # ~${coverage.monthly} runs/month`];
+        valid.forEach((tier, index) => {
+            lines.push(
+                '',
+                `    # TIER ${index + 1}: ${tier.name.replace(/\s+/g, ' ').trim() || 'Unnamed'}`,
+                `    - cron: "${tier.cron.trim().replace(/\s+/g, ' ')}"`
+            );
+        });
+        return lines.join('\n');
+    }
+
+    async copyBuilderYAML() {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('builder-yaml').textContent);
+            this.showSuccess('Schedule block copied');
+        } catch (error) {
+            this.showError('Copy failed - select the block and copy it manually');
+        }
+    }
+
+    // Workflow schedule analysis - parses the cron entries of the deployment workflow
+    async loadWorkflowSchedule() {
+        const maxAge = 10 * 60 * 1000; // Re-read the workflow file at most every 10 minutes
+        if (this.schedule && Date.now() - this.schedule.fetchedAt < maxAge) {
+            return this.schedule;
+        }
+        
+        const yaml = await this.fetchRepoFile(`.github/workflows/${this.workflowFile}`);
+        this.schedule = {
+            ...this.parseWorkflowSchedules(yaml),
+            fetchedAt: Date.now()
+        };
+        
+        console.log(`📅 Loaded ${this.schedule.entries.length} schedule entries from ${this.workflowFile}`);
+        return this.schedule;
+    }
+
+    parseWorkflowSchedules(yaml) {
+        const lines = yaml.split(/\r?\n/);
+        const entries = [];
+        let scheduleKeyActive = false;
+        let scheduleKeyFound = false;
+        let pendingLabel = null;
+        
+        lines.forEach((line, index) => {
+            // "schedule:" key under "on:" - may itself be commented out
+            const keyMatch = line.match(/^\s*(#\s*)?schedule:\s*(#.*)?$/);
+            if (keyMatch) {
+                scheduleKeyFound = true;
+                scheduleKeyActive = !keyMatch[1];
+                return;
+            }
+            
+            // Tier description comments preceding a cron line, e.g. "# TIER 2: Late night..."
+            const tierMatch = line.match(/^\s*#\s*(TIER\s*\d+)\s*:\s*(.+)$/i);
+            if (tierMatch) {
+                pendingLabel = { tier: tierMatch[1].toUpperCase().replace(/\s+/, ' '), description: tierMatch[2].trim() };
+                return;
+            }
+            
+            const cronMatch = line.match(/^\s*(#\s*)?-\s*cron:\s*(["']?)([^"'#]+?)\2\s*(#.*)?$/);
+            if (cronMatch) {
+                const commented = Boolean(cronMatch[1]);
+                const entry = {
+                    cron: cronMatch[3].trim(),
+                    tier: pendingLabel ? pendingLabel.tier : `Schedule ${entries.length + 1}`,
+                    description: pendingLabel ? pendingLabel.description : '',
+                    line: index + 1,
+                    enabled: !commented && scheduleKeyActive,
+                    parsed: null,
+                    error: null
+                };
+                
+                try {
+                    entry.parsed = this.parseCronExpression(entry.cron);
+                } catch (error) {
+                    entry.error = error.message;
+                    entry.enabled = false;
+                    console.warn(`⚠️ Invalid cron "${entry.cron}" on line ${entry.line}: ${error.message}`);
+                }
+                
+                entries.push(entry);
+                pendingLabel = null;
+            }
+        });
+        
+        return {
+            entries,
+            scheduleKeyFound,
+            enabled: entries.some(entry => entry.enabled)
+        };
+    }
+
+    parseCronExpression(expression) {
+        const fields = expression.trim().split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Expected 5 fields, got ${fields.length}`);
+        }
+        
+        const monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+        const dayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+        
+        const daysOfWeek = this.parseCronField(fields[4], 0, 7, dayNames);
+        // Both 0 and 7 mean Sunday
+        if (daysOfWeek.has(7)) {
+            daysOfWeek.delete(7);
+            daysOfWeek.add(0);
+        }
+        
+        return {
+            expression: fields.join(' '),
+            minutes: this.parseCronField(fields[0], 0, 59),
+            hours: this.parseCronField(fields[1], 0, 23),
+            daysOfMonth: this.parseCronField(fields[2], 1, 31),
+            months: this.parseCronField(fields[3], 1, 12, monthNames, 1),
+            daysOfWeek,
+            // Standard cron semantics: when both day fields are restricted, either may match
+            domRestricted: !fields[2].startsWith('*'),
+            dowRestricted: !fields[4].startsWith('*')
+        };
+    }
+
+    parseCronField(field, min, max, names = null, nameOffset = 0) {
+        const values = new Set();
+        
+        const toNumber = (token) => {
+            const upper = token.toUpperCase();
+            if (names && names.includes(upper)) {
+                return names.indexOf(upper) + nameOffset;
+            }
+            if (!/^\d+$/.test(token)) {
+                throw new Error(`Invalid value "${token}"`);
+            }
+            const value = parseInt(token, 10);
+            if (value < min || value > max) {
+                throw new Error(`Value ${value} out of range ${min}-${max}`);
+            }
+            return value;
+        };
+        
+        field.split(',').forEach(part => {
+            const [rangePart, stepPart] = part.split('/');
+            const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+            if (!step || step < 1 || (stepPart !== undefined && !/^\d+$/.test(stepPart))) {
+                throw new Error(`Invalid step "${stepPart}"`);
+            }
+            
+            let start;
+            let end;
+            if (rangePart === '*') {
+                start = min;
+                end = max;
+            } else if (rangePart.includes('-')) {
+                const [from, to] = rangePart.split('-');
+                start = toNumber(from);
+                end = toNumber(to);
+                if (start > end) {
+                    throw new Error(`Invalid range "${rangePart}"`);
+                }
+            } else {
+                start = toNumber(rangePart);
+                // "5/15" means every 15 starting at 5
+                end = stepPart === undefined ? start : max;
+            }
+            
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        });
+        
+        return values;
+    }
+
+    cronDayMatches(parsed, date) {
+        const domMatch = parsed.daysOfMonth.has(date.getUTCDate());
+        const dowMatch = parsed.daysOfWeek.has(date.getUTCDay());
+        
+        if (parsed.domRestricted && parsed.dowRestricted) {
+            return domMatch || dowMatch;
+        }
+        return domMatch && dowMatch;
+    }
+
+    getNextCronRun(parsed, from = new Date()) {
+        // GitHub Actions evaluates schedules in UTC with minute resolution
+        const candidate = new Date(from);
+        candidate.setUTCSeconds(0, 0);
+        candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+        
+        // Skip whole months/days/hours that can't match; bounded to ~5 years of search
+        for (let i = 0; i < 100000; i++) {
+            if (!parsed.months.has(candidate.getUTCMonth() + 1)) {
+                candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+                candidate.setUTCHours(0, 0, 0, 0);
+            } else if (!this.cronDayMatches(parsed, candidate)) {
+                candidate.setUTCDate(candidate.getUTCDate() + 1);
+                candidate.setUTCHours(0, 0, 0, 0);
+            } else if (!parsed.hours.has(candidate.getUTCHours())) {
+                candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+            } else if (!parsed.minutes.has(candidate.getUTCMinutes())) {
+                candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+            } else {
+                return candidate;
+            }
+        }
+        
+        return null;
+    }
+
+    analyzeSchedule(schedule, now = new Date()) {
+        const entries = schedule.entries
+            .filter(entry => entry.parsed)
+            .map(entry => ({ ...entry, nextRun: this.getNextCronRun(entry.parsed, now) }))
+            .filter(entry => entry.nextRun);
+        
+        // When the schedule is disabled, report what would fire if it were re-enabled
+        const candidates = schedule.enabled ? entries.filter(entry => entry.enabled) : entries;
+        const next = candidates.reduce((earliest, entry) =>
+            !earliest || entry.nextRun < earliest.nextRun ? entry : earliest, null);
+        
+        return {
+            enabled: schedule.enabled,
+            nextRun: next ? next.nextRun : null,
+            nextEntry: next,
+            entries
+        };
+    }
+
+    calculateNextRun() {
+        if (!this.schedule) {
+            return null;
+        }
+        return this.analyzeSchedule(this.schedule).nextRun;
+    }
+
+    getCurrentScheduleContext() {
+        if (!this.schedule) {
+            return 'Schedule unknown';
+        }
+        
+        const analysis = this.analyzeSchedule(this.schedule);
+        const total = this.schedule.entries.length;
+        
+        if (total === 0) {
+            return 'No cron schedule in workflow';
+        }
+        
+        if (!analysis.enabled) {
+            const wouldBe = analysis.nextEntry ? ` - ${analysis.nextEntry.tier} would fire next` : '';
+            return `Schedule disabled (${total} cron ${total === 1 ? 'entry' : 'entries'} commented out)${wouldBe}`;
+        }
+        
+        if (!analysis.nextEntry) {
+            return 'No upcoming run found';
+        }
+        
+        const entry = analysis.nextEntry;
+        const description = entry.description ? `: ${entry.description}` : '';
+        return `${entry.tier}${description} (${entry.cron})`;
+    }
+
+    formatNextRun(date) {
+        const now = new Date();
+        const sameDay = date.toDateString() === now.toDateString();
+        if (sameDay) {
+            return this.formatTime(date);
+        }
+        return `${date.toLocaleDateString([], { weekday: 'short' })} ${this.formatTime(date)}`;
+    }
+
+    // Config files and workflows are read with the vendored js-yaml (lib/js-yaml). The core schema
+    // keeps timestamps as strings and only treats true/false as booleans, like GitHub Actions
+    parseYAML(text) {
+        if (!window.jsyaml) {
+            throw new Error('YAML parser unavailable - lib/js-yaml failed to load');
+        }
+        return window.jsyaml.load(text, { schema: window.jsyaml.CORE_SCHEMA }) ?? null;
+    }
+
+    async fetchRepoFile(path, ref = '') {
+        // Raw media type returns the file body instead of base64-encoded JSON
+        const endpoint = `/repos/${this.config.owner}/${this.config.repo}/contents/${path}${ref ? `?ref=${encodeURIComponent(ref)}` : ''}`;
+        return this.githubReadAPI(endpoint, { headers: { 'Accept': 'application/vnd.github.raw' }, raw: true });
+    }
+
+    githubReadAPI(endpoint, options = {}) {
+        // Read-only data is public for public repositories; use the token when we have one
+        return this.config.token ? this.githubAPI(endpoint, options) : this.githubPublicAPI(endpoint, options);
+    }
+
+    githubAPI(endpoint, options = {}) {
+        if (!this.config.token && !this.snapshot) {
+            return Promise.reject(new Error('GitHub token not configured'));
+        }
+        return this.githubRequest(endpoint, { ...options, auth: true });
+    }
+
+    githubPublicAPI(endpoint, options = {}) {
+        // Public API calls that don't require authentication
+        return this.githubRequest(endpoint, { ...options, auth: false });
+    }
+
+    // Single request layer: coalesces identical in-flight GETs, revalidates cached
+    // responses with If-None-Match (304s don't count against quota) and backs off
+    // when the rate limit is exhausted or GitHub sends Retry-After
+    githubRequest(endpoint, options = {}) {
+        const { headers = {}, raw = false, auth = false, token = this.config.token, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const requestHeaders = {
+            'Accept': 'application/vnd.github.v3+json',
+            ...headers
+        };
+        if (auth) {
+            requestHeaders['Authorization'] = `Bearer ${token}`;
+        }
+        
+        if (this.snapshot) {
+            return this.getSnapshotResponse(endpoint, method, requestHeaders['Accept']);
+        }
+        if (this.offlineMode.enabled) {
+            return this.getOfflineResponse(endpoint, method, requestHeaders['Accept']);
+        }
+        
+        if (method !== 'GET') {
+            return this.performGithubRequest(endpoint, { ...fetchOptions, method, headers: requestHeaders }, { auth, raw });
+        }
+        
+        const key = `${auth ? 'auth' : 'public'} ${requestHeaders['Accept']} ${endpoint}`;
+        if (this.api.inflight.has(key)) {
+            return this.api.inflight.get(key);
+        }
+        
+        const request = this.performGithubRequest(endpoint, { ...fetchOptions, method, headers: requestHeaders }, { auth, raw, key })
+            .finally(() => this.api.inflight.delete(key));
+        this.api.inflight.set(key, request);
+        return request;
+    }
+
+    async performGithubRequest(endpoint, fetchOptions, { auth, raw, key = null }) {
+        const cached = key ? this.api.cache.get(key) : null;
+        
+        if (Date.now() < this.api.backoffUntil) {
+            if (cached) {
+                return cached.data;
+            }
+            throw new Error(`GitHub API rate limit exceeded. Retrying after ${this.formatTime(new Date(this.api.backoffUntil))}.`);
+        }
+        
+        if (cached && cached.etag) {
+            fetchOptions.headers['If-None-Match'] = cached.etag;
+        }
+        
+        const response = await fetch(`https://api.github.com${endpoint}`, fetchOptions);
+        this.updateRateLimit(response, auth);
+        
+        if (response.status === 304 && cached) {
+            this.storeOfflineResponse(key, cached.data);
+            return cached.data;
+        }
+        
+        if (!response.ok) {
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            const rateLimited = response.status === 429 || (response.status === 403 &&
+                (this.api.rateLimit.remaining === 0 || Number.isFinite(retryAfter)));
+            
+            if (rateLimited) {
+                this.api.backoffUntil = Number.isFinite(retryAfter)
+                    ? Date.now() + retryAfter * 1000
+                    : Math.max(this.api.rateLimit.reset * 1000, Date.now() + 60 * 1000);
+                this.updateRateLimitStatus();
+                console.warn(`⏳ GitHub API rate limited - backing off until ${new Date(this.api.backoffUntil).toISOString()}`);
+                
+                // Serving stale data beats showing nothing while we wait
+                if (cached) {
+                    return cached.data;
+                }
+                throw new Error('GitHub API rate limit exceeded. Please try again later.');
+            }
+            
+            if (!auth && response.status === 404) {
+                throw new Error('Repository not found or not public');
+            }
+            throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+        }
+        
+        // Writes (dispatches, variable updates) answer 204 No Content; creating a variable answers 201 with no body
+        if (response.status === 204) {
+            return null;
+        }
+        if (response.status === 201) {
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
+        }
+        
+        const data = raw ? await response.text() : await response.json();
+        const etag = response.headers.get('ETag');
+        if (key && etag) {
+            this.api.cache.delete(key);
+            this.api.cache.set(key, { etag, data });
+            // Keep the cache bounded - Map iteration order is insertion order
+            if (this.api.cache.size > 200) {
+                this.api.cache.delete(this.api.cache.keys().next().value);
+            }
+        }
+        if (key) {
+            this.storeOfflineResponse(key, data);
+        }
+        
+        return data;
+    }
+
+    updateRateLimit(response, auth) {
+        const limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
+        const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+        const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+        
+        if (!Number.isFinite(limit) || !Number.isFinite(remaining)) {
+            return;
+        }
+        
+        // Only the core quota drives backoff; search and other resources are tracked separately by GitHub
+        const resource = response.headers.get('X-RateLimit-Resource') || 'core';
+        if (resource !== 'core') {
+            return;
+        }
+        
+        this.api.rateLimit = { limit, remaining, reset, authenticated: auth };
+        if (remaining === 0 && Number.isFinite(reset)) {
+            this.api.backoffUntil = Math.max(this.api.backoffUntil, reset * 1000);
+        }
+        this.updateRateLimitStatus();
+    }
+
+    updateRateLimitStatus() {
+        const statusEl = document.getElementById('rate-limit-status');
+        if (!statusEl) {
+            return;
+        }
+        
+        const { limit, remaining, reset } = this.api.rateLimit;
+        if (limit === null) {
+            statusEl.innerHTML = '<i class="fas fa-tachometer-alt"></i><span>API: --</span>';
+            return;
+        }
+        
+        const ratio = remaining / limit;
+        const color = Date.now() < this.api.backoffUntil || ratio < 0.1 ? '#ef4444' : ratio < 0.3 ? '#f59e0b' : '#10b981';
+        const resetText = reset ? ` (resets ${this.formatTime(new Date(reset * 1000))})` : '';
+        const label = Date.now() < this.api.backoffUntil ? 'API: backing off' : `API: ${remaining}/${limit}`;
+        
+        statusEl.title = `GitHub API quota: ${remaining} of ${limit} requests remaining${resetText}`;
+        statusEl.innerHTML = `<i class="fas fa-tachometer-alt" style="color: ${color};"></i><span>${label}${resetText}</span>`;
+    }
+
+    getNextRefreshDelay() {
+        const now = Date.now();
+        const { limit, remaining, reset } = this.api.rateLimit;
+        
+        // Wait out an active backoff, and stop polling once under 10% of quota until it resets
+        if (now < this.api.backoffUntil) {
+            return Math.max(this.config.refreshInterval, this.api.backoffUntil - now);
+        }
+        if (limit && remaining < limit * 0.1 && reset * 1000 > now) {
+            return Math.max(this.config.refreshInterval, reset * 1000 - now);
+        }
+        return this.config.refreshInterval;
+    }
+
+    getRunStatus(run) {
+        switch (run.status) {
+            case 'completed':
+                if (run.conclusion === 'success') {
+                    return { class: 'success', text: 'Success' };
+                } else if (run.conclusion === 'skipped' || run.conclusion === 'cancelled') {
+                    return { class: 'neutral', text: run.conclusion === 'skipped' ? 'Skipped' : 'Cancelled' };
+                } else {
+                    return { class: 'error', text: 'Failed' };
+                }
+            case 'in_progress':
+                return { class: 'running', text: 'Running' };
+            case 'queued':
+            case 'pending':
+            case 'waiting':
+                return { class: 'neutral', text: 'Queued' };
+            default:
+                return { class: 'error', text: String(run.status) };
+        }
+    }
+
+    githubLink(url) {
+        // Links come from API data or an imported bundle - only ever point them at GitHub
+        return /^https:\/\/github\.com\//.test(String(url)) ? this.escapeHTML(url) : '#';
+    }
+
+    escapeHTML(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
+    stripAnsi(text) {
+        // Colour codes from the log helpers in scripts/utils.sh - ESC comes from its char code, not a control character in a regex literal
+        return String(text).replace(new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g'), '');
+    }
+
+    calculateDuration(start, end) {
+        const startTime = new Date(start);
+        const endTime = new Date(end);
+        return Math.round((endTime - startTime) / 1000);
+    }
+
+    formatDuration(seconds) {
+        if (seconds < 60) {
+            return `${seconds}s`;
+        }
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) {
+            return `${minutes}m ${seconds % 60}s`;
+        }
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) {
+            return `${hours}h ${minutes % 60}m`;
+        }
+        return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    }
+
+    formatTime(date) {
+        return date.toLocaleTimeString([], { 
+            hour: '2-digit', 
+            minute: '2-digit',
+            hour12: false
+        });
+    }
+
+    openModal(modalId) {
+        document.getElementById(modalId).style.display = 'block';
+    }
+
+    closeModal() {
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.style.display = 'none';
+        });
+    }
+
+    async saveSettings() {
+        const tokenStorage = document.getElementById('token-storage').value;
+        const passphrase = document.getElementById('token-passphrase').value;
+        if (tokenStorage === 'encrypted' && !passphrase && !this.tokenVault.key) {
+            this.showError('Enter a passphrase to encrypt your tokens');
+            return;
+        }
+        
+        try {
+            if (tokenStorage === 'encrypted' && passphrase) {
+                await this.setVaultPassphrase(passphrase);
+            }
+        } catch (error) {
+            this.showError('Failed to set passphrase: ' + error.message);
+            return;
+        }
+        document.getElementById('token-passphrase').value = '';
+        this.config.tokenStorage = tokenStorage;
+        
+        const previousRepo = this.config.activeRepo;
+        this.config.repositories = this.readRepositorySettings();
+        this.applyActiveRepository(previousRepo);
+        if (this.config.activeRepo !== previousRepo) {
+            this.resetRepositoryState();
+        }
+        this.repoSummaries.clear();
+        this.billingUnavailable.clear();
+        this.config.autoRefresh = document.getElementById('auto-refresh').checked;
+        this.config.planLimit = document.getElementById('plan-limit').value;
+        
+        await this.saveConfig();
+        this.updateConnectionStatus();
+        this.closeModal();
+        
+        if (this.config.autoRefresh) {
+            this.startAutoRefresh();
+        } else if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        
+        // Refresh data with new settings
+        this.refreshData();
+    }
+
+    updateConnectionStatus() {
+        const statusEl = document.getElementById('connection-status');
+        
+        if (this.snapshot) {
+            statusEl.innerHTML = '<i class="fas fa-circle" style="color: #f59e0b;"></i><span>Snapshot</span>';
+        } else if (this.config.token && this.config.owner && this.config.repo) {
+            statusEl.innerHTML = '<i class="fas fa-circle" style="color: #10b981;"></i><span>Connected</span>';
+        } else {
+            statusEl.innerHTML = '<i class="fas fa-circle" style="color: #ef4444;"></i><span>Not Configured</span>';
+        }
+    }
+
+    updateConfigUI() {
+        this.renderRepositorySettings(this.config.repositories);
+        document.getElementById('auto-refresh').checked = this.config.autoRefresh;
+        document.getElementById('plan-limit').value = this.config.planLimit;
+        document.getElementById('token-storage').value = this.config.tokenStorage;
+        this.updateTokenStorageUI(this.config.tokenStorage);
+    }
+
+    updateTokenStorageUI(mode) {
+        document.getElementById('token-passphrase-group').hidden = mode !== 'encrypted';
+        document.getElementById('token-passphrase-hint').textContent = this.tokenVault.key
+            ? 'Leave blank to keep the current passphrase'
+            : 'Required to encrypt your tokens. You will be asked for it each time the dashboard loads';
+    }
+
+    renderRepositorySettings(repositories) {
+        const list = document.getElementById('repo-list');
+        list.innerHTML = (repositories.length ? repositories : [{ label: '', owner: '', repo: '', token: '' }]).map(entry => `
+            <div class="repo-entry">
+                <div class="repo-entry-header">
+                    <input type="text" class="repo-label" placeholder="Label (e.g. Singapore ARM)" value="${this.escapeHTML(entry.label || '')}">
+                    <button type="button" class="btn-icon repo-remove" title="Remove repository">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <div class="repo-entry-fields">
+                    <input type="text" class="repo-owner" placeholder="Owner" value="${this.escapeHTML(entry.owner || '')}">
+                    <input type="text" class="repo-name" placeholder="OracleInstanceCreator" value="${this.escapeHTML(entry.repo || '')}">
+                </div>
+                <input type="password" class="repo-token" placeholder="ghp_xxxxxxxxxxxx" value="${this.escapeHTML(entry.token || '')}">
+            </div>
+        `).join('');
+    }
+
+    readRepositorySettings(completeOnly = true) {
+        const entries = [...document.querySelectorAll('#repo-list .repo-entry')].map(entry => ({
+            label: entry.querySelector('.repo-label').value.trim(),
+            owner: entry.querySelector('.repo-owner').value.trim(),
+            repo: entry.querySelector('.repo-name').value.trim(),
+            token: entry.querySelector('.repo-token').value.trim()
+        }));
+        if (!completeOnly) {
+            return entries;
+        }
+        
+        // Drop incomplete rows and keep the first entry for a repository listed twice
+        return entries
+            .filter(entry => entry.owner && entry.repo)
+            .filter((entry, index, all) => all.findIndex(other => this.getRepositoryKey(other) === this.getRepositoryKey(entry)) === index);
+    }
+
+    startAutoRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        if (this.snapshot) {
+            return;
+        }
+        
+        // Chained timeouts so each delay can stretch when the API quota runs low
+        this.refreshTimer = setTimeout(async () => {
+            await this.refreshData();
+            if (this.config.autoRefresh) {
+                this.startAutoRefresh();
+            }
+        }, this.getNextRefreshDelay());
+    }
+
+    async triggerWorkflow() {
+        if (this.snapshot) {
+            this.showError('Snapshots are read-only - exit snapshot mode to trigger runs');
+            return;
+        }
+        if (!this.config.token) {
+            this.showError('A GitHub token with Actions write access is required to trigger runs');
+            return;
+        }
+        
+        this.openModal('dispatch-modal');
+        const refInput = document.getElementById('dispatch-ref');
+        try {
+            const [repository, branches] = await Promise.all([
+                this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}`),
+                this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/branches?per_page=100`)
+            ]);
+            document.getElementById('dispatch-refs').innerHTML = branches
+                .map(branch => `<option value="${this.escapeHTML(branch.name)}"></option>`).join('');
+            refInput.value = repository.default_branch;
+            await this.loadDispatchInputs(refInput.value);
+        } catch (error) {
+            this.dispatch.inputs = null;
+            document.getElementById('dispatch-inputs').innerHTML =
+                `<div class="loading">Failed to load workflow inputs: ${this.escapeHTML(error.message)}</div>`;
+        }
+    }
+
+    async loadDispatchInputs(ref) {
+        const container = document.getElementById('dispatch-inputs');
+        const submit = document.getElementById('dispatch-submit');
+        container.innerHTML = '<div class="loading">Loading workflow inputs...</div>';
+        submit.disabled = true;
+        this.dispatch.inputs = null;
+        if (!ref) {
+            return;
+        }
+        
+        try {
+            const workflow = this.parseYAML(await this.fetchRepoFile(`.github/workflows/${this.workflowFile}`, ref));
+            // `on: workflow_dispatch` and `on: [push, workflow_dispatch]` carry no inputs
+            const trigger = workflow?.on;
+            const dispatchable = trigger === 'workflow_dispatch' ||
+                (Array.isArray(trigger) ? trigger.includes('workflow_dispatch') : !!trigger && typeof trigger === 'object' && 'workflow_dispatch' in trigger);
+            
+            // The ref may have changed while the file was loading
+            if (document.getElementById('dispatch-ref').value.trim() !== ref) {
+                return;
+            }
+            if (!dispatchable) {
+                container.innerHTML = `<div class="loading">${this.escapeHTML(this.workflowFile)} on ${this.escapeHTML(ref)} has no workflow_dispatch trigger</div>`;
+                return;
+            }
+            
+            this.dispatch.inputs = trigger.workflow_dispatch?.inputs || {};
+            this.renderDispatchInputs();
+            submit.disabled = false;
+        } catch (error) {
+            container.innerHTML = `<div class="loading">Could not read ${this.escapeHTML(this.workflowFile)} on ${this.escapeHTML(ref)}: ${this.escapeHTML(error.message)}</div>`;
+        }
+    }
+
+    renderDispatchInputs() {
+        const controls = Object.entries(this.dispatch.inputs).map(([name, input]) => {
+            const spec = input || {};
+            const id = this.escapeHTML(`dispatch-input-${name}`);
+            const attributes = `id="${id}" data-input="${this.escapeHTML(name)}" ${spec.required ? 'required' : ''}`;
+            const description = spec.description ? `<small>${this.escapeHTML(spec.description)}</small>` : '';
+            const fallback = spec.default ?? '';
+            
+            if (spec.type === 'boolean') {
+                return `
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" ${attributes} ${String(fallback) === 'true' ? 'checked' : ''}> ${this.escapeHTML(name)}
+                        </label>
+                        ${description}
+                    </div>
+                `;
+            }
+            
+            const control = spec.type === 'choice'
+                ? `<select ${attributes}>${(spec.options || []).map(option => `
+                        <option value="${this.escapeHTML(option)}" ${String(option) === String(fallback) ? 'selected' : ''}>${this.escapeHTML(option)}</option>
+                    `).join('')}</select>`
+                : `<input type="${spec.type === 'number' ? 'number' : 'text'}" ${spec.type === 'number' ? 'step="any"' : ''} ${attributes} value="${this.escapeHTML(fallback)}">`;
+            return `
+                <div class="form-group">
+                    <label for="${id}">${this.escapeHTML(name)}${spec.required ? ' *' : ''}</label>
+                    ${control}
+                    ${description}
+                </div>
+            `;
+        }).join('');
+        
+        document.getElementById('dispatch-inputs').innerHTML = controls || '<div class="loading">This workflow takes no inputs</div>';
+    }
+
+    async submitDispatch() {
+        const ref = document.getElementById('dispatch-ref').value.trim();
+        if (!ref || !this.dispatch.inputs) {
+            return;
+        }
+        
+        // The API takes every input as a string; empty optional inputs fall back to the workflow defaults
+        const inputs = {};
+        document.querySelectorAll('#dispatch-inputs [data-input]').forEach(control => {
+            const value = control.type === 'checkbox' ? String(control.checked) : control.value;
+            if (value !== '') {
+                inputs[control.dataset.input] = value;
+            }
+        });
+        
+        // Still inside the click, so the browser allows the permission prompt
+        this.requestNotificationPermission();
+        
+        const dispatchedAt = Date.now();
+        try {
+            await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/workflows/${this.workflowFile}/dispatches`, {
+                method: 'POST',
+                body: JSON.stringify({ ref, inputs })
+            });
+        } catch (error) {
+            this.showError('Failed to trigger workflow: ' + error.message);
+            return;
+        }
+        
+        this.closeModal();
+        this.showSuccess(`Workflow dispatched on ${ref}`);
+        this.followDispatchedRun(dispatchedAt);
+    }
+
+    async findDispatchedRun(dispatchedAt) {
+        // Dispatches return no run id - take the newest dispatch run created since we sent it (allowing for clock skew)
+        const runs = await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/workflows/${this.workflowFile}/runs?event=workflow_dispatch&per_page=5`);
+        return runs.workflow_runs?.find(run => Date.parse(run.created_at) >= dispatchedAt - 60000) || null;
+    }
+
+    followDispatchedRun(dispatchedAt) {
+        clearTimeout(this.dispatch.timer);
+        Object.assign(this.dispatch, { dispatchedAt, lost: false, timer: null });
+        this.renderWorkflowStatus();
+        this.dispatch.timer = setTimeout(() => this.pollDispatchedRun(), 5000);
+    }
+
+    async pollDispatchedRun() {
+        const dispatch = this.dispatch;
+        const dispatchedAt = dispatch.dispatchedAt;
+        dispatch.timer = null;
+        
+        let run = null;
+        try {
+            run = await this.findDispatchedRun(dispatchedAt);
+        } catch (error) {
+            console.warn('Dispatched run lookup failed, retrying:', error);
+        }
+        
+        // Repository switched or another dispatch started meanwhile
+        if (dispatch !== this.dispatch || dispatchedAt !== dispatch.dispatchedAt) {
+            return;
+        }
+        
+        if (run) {
+            // From here on the run tracker follows it like any other active run
+            dispatch.dispatchedAt = 0;
+            this.runTracker.runs.set(run.id, { run, job: null, step: null });
+            this.updateRunTracker();
+        } else if (Date.now() - dispatchedAt > 5 * 60 * 1000) {
+            dispatch.lost = true;
+        } else {
+            dispatch.timer = setTimeout(() => this.pollDispatchedRun(), 10000);
+        }
+        this.renderWorkflowStatus();
+    }
+
+    renderWorkflowStatus() {
+        const { dispatchedAt, lost } = this.dispatch;
+        const active = this.runTracker.runs.size;
+        const statusEl = document.getElementById('workflow-status');
+        
+        if (dispatchedAt) {
+            statusEl.innerHTML = lost
+                ? '<span class="status-dot error"></span><span>Dispatched run not found - check the Actions tab</span>'
+                : '<span class="status-dot running"></span><span>Waiting for the dispatched run to start...</span>';
+        } else if (active) {
+            statusEl.innerHTML = `<span class="status-dot running"></span><span>${active} run${active === 1 ? '' : 's'} in progress</span>`;
+        } else {
+            statusEl.innerHTML = '<span class="status-dot"></span><span>Ready</span>';
+        }
+    }
+
+    async updateRunTracker() {
+        const tracker = this.runTracker;
+        const base = `/repos/${this.config.owner}/${this.config.repo}/actions`;
+        clearTimeout(tracker.timer);
+        tracker.timer = null;
+        // Cached run states would look in progress forever
+        if (this.snapshot || this.offlineMode.enabled || !this.config.owner || !this.config.repo) {
+            return;
+        }
+        
+        try {
+            // Pick up runs started elsewhere (schedule, another tab) from the newest few
+            const latest = await this.githubReadAPI(`${base}/workflows/${this.workflowFile}/runs?per_page=5`);
+            (latest.workflow_runs || []).forEach(run => {
+                if (run.status !== 'completed' && !tracker.runs.has(run.id) && !tracker.finished.has(run.id)) {
+                    tracker.runs.set(run.id, { run, job: null, step: null });
+                }
+            });
+        } catch (error) {
+            console.warn('Active run discovery failed:', error);
+        }
+        
+        await Promise.all([...tracker.runs.values()].map(entry => this.updateTrackedRun(tracker, entry)));
+        
+        // Repository switched meanwhile
+        if (tracker !== this.runTracker) {
+            return;
+        }
+        this.renderRunTracker();
+        
+        if (tracker.runs.size) {
+            // Jobs change on every poll while running, so unauthenticated polling is slower to spare the 60/h quota
+            tracker.timer = setTimeout(() => this.updateRunTracker(), this.config.token ? 10000 : 30000);
+        }
+    }
+
+    async updateTrackedRun(tracker, entry) {
+        const base = `/repos/${this.config.owner}/${this.config.repo}/actions/runs/${entry.run.id}`;
+        try {
+            const [run, jobs] = await Promise.all([
+                this.githubReadAPI(base),
+                this.githubReadAPI(`${base}/jobs?per_page=100`)
+            ]);
+            // The first job still working, and the step it is on
+            const job = (jobs.jobs || []).find(candidate => candidate.status === 'in_progress') ||
+                (jobs.jobs || []).find(candidate => candidate.status !== 'completed') || null;
+            Object.assign(entry, { run, job, step: job?.steps?.find(step => step.status === 'in_progress') || null });
+        } catch (error) {
+            console.warn(`Tracking run ${entry.run.id} failed, retrying:`, error);
+            return;
+        }
+        
+        if (entry.run.status === 'completed' && tracker === this.runTracker && !tracker.finished.has(entry.run.id)) {
+            tracker.runs.delete(entry.run.id);
+            tracker.finished.add(entry.run.id);
+            await this.finishTrackedRun(entry.run);
+        }
+    }
+
+    async finishTrackedRun(run) {
+        // Logs tell capacity misses and rate limits apart - the launch step exits 0 for both
+        let log = '';
+        if (this.config.token && ['success', 'failure'].includes(run.conclusion)) {
+            try {
+                log = await this.fetchRunLogs(run.id);
+            } catch (error) {
+                console.warn('Run logs unavailable, classifying by conclusion only:', error);
+            }
+        }
+        
+        const outcome = this.classifyRunOutcome(run, log);
+        const message = `Run #${run.run_number}: ${outcome.label}`;
+        this.showNotification(message, outcome.severity === 'neutral' ? 'info' : outcome.severity);
+        
+        if ('Notification' in window && Notification.permission === 'granted') {
+            const notification = new Notification(message, {
+                body: `${this.config.owner}/${this.config.repo} - ${outcome.detail}`,
+                tag: `oic-run-${run.id}`
+            });
+            notification.onclick = () => {
+                window.focus();
+                window.open(run.html_url, '_blank', 'noopener');
+            };
+        }
+        
+        this.refreshData();
+    }
+
+    classifyRunOutcome(run, log = '') {
+        if (run.conclusion === 'cancelled' || run.conclusion === 'skipped') {
+            return { kind: run.conclusion, severity: 'neutral', label: run.conclusion === 'skipped' ? 'Skipped' : 'Cancelled', detail: `The run was ${run.conclusion}` };
+        }
+        
+        const cause = this.classifyRunLog(run, log);
+        if (cause.type === 'CREATED') {
+            return { kind: 'created', severity: 'success', label: 'Instance created', detail: 'An instance was created - hunting stops' };
+        }
+        if (cause.category === 'clean') {
+            return { kind: 'success', severity: 'success', label: 'Succeeded', detail: 'The run completed successfully' };
+        }
+        const kinds = { USER_LIMIT_REACHED: 'limit', LIMIT_EXCEEDED: 'limit', LIMIT_CACHED: 'limit', RATE_LIMIT: 'rate_limited', ORACLE_CAPACITY_UNAVAILABLE: 'capacity', CAPACITY: 'capacity' };
+        return {
+            kind: kinds[cause.type] || (cause.category === 'breakage' ? 'failure' : 'transient'),
+            severity: cause.category === 'breakage' ? 'error' : 'warning',
+            label: cause.label,
+            detail: cause.detail
+        };
+    }
+
+    classifyRunLog(run, log = '') {
+        const lines = log.split(/\r?\n/).map(rawLine => this.stripAnsi(rawLine
+            .replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z\s/, '')));
+        
+        // launch-instance.sh echoes the OCI CLI output: a "ServiceError:" header followed by the JSON body
+        const outputs = [];
+        let block = null;
+        lines.forEach(line => {
+            if (/ServiceError:/.test(line)) {
+                block = [line];
+                outputs.push(block);
+            } else if (block) {
+                block.push(line);
+                if (/^\s*\}\s*$/.test(line) || block.length > 40) {
+                    block = null;
+                }
+            }
+        });
+        let errors = outputs.map(output => {
+            // grep -qi matches line by line, so a rule applies when any line of the output matches
+            const rule = this.errorRules.find(candidate => candidate.pattern && output.some(line => candidate.pattern.test(line))) ||
+                this.errorRules[this.errorRules.length - 1];
+            const field = (name) => output.join('\n').match(new RegExp(`"${name}":\\s*"?([^",\\n]*)`))?.[1];
+            const detail = [field('status'), field('code')].filter(Boolean).join(' ');
+            return { rule, detail: `${detail ? `${detail}: ` : ''}${field('message') || output[0].trim()}` };
+        });
+        if (!errors.length) {
+            // No raw CLI output (older logs, debug output off) - use what the scripts concluded
+            errors = lines
+                .map(line => ({ rule: this.errorRules.find(candidate => candidate.summary.test(line)), detail: line.replace(/^\s*\[[A-Z]+\]\s*/, '') }))
+                .filter(error => error.rule);
+        }
+        
+        const conclusion = run.conclusion || 'unknown';
+        if (lines.some(line => /instances actually exist/.test(line))) {
+            return { type: 'CREATED', category: 'created', label: 'Instance created', detail: 'An instance was created', errors: errors.length };
+        }
+        
+        // The worst category wins; within it the most frequent error type
+        const rank = { breakage: 3, transient: 2, expected: 1 };
+        const worst = errors.reduce((max, error) => Math.max(max, rank[error.rule.category]), 0);
+        const candidates = errors.filter(error => rank[error.rule.category] === worst);
+        const count = (type) => candidates.filter(error => error.rule.type === type).length;
+        const cause = candidates.sort((a, b) => count(b.rule.type) - count(a.rule.type))[0];
+        
+        if (conclusion !== 'success' && (!cause || cause.rule.category !== 'breakage')) {
+            const annotation = lines.find(line => line.startsWith('##[error]'));
+            return {
+                type: 'WORKFLOW_FAILURE',
+                category: 'breakage',
+                label: 'Workflow failure',
+                detail: annotation ? annotation.replace('##[error]', '') : `The run concluded ${conclusion}`,
+                errors: errors.length
+            };
+        }
+        if (cause) {
+            const { type, category, label } = cause.rule;
+            return { type, category, label, detail: cause.detail, errors: errors.length };
+        }
+        if (lines.some(line => /Cached limit reached/.test(line))) {
+            return { type: 'LIMIT_CACHED', category: 'expected', label: 'Limit cached - launch skipped', detail: 'state-manager.sh has the shape limits cached', errors: 0 };
+        }
+        return { type: 'NONE', category: 'clean', label: 'No launch errors', detail: 'The run completed without OCI errors', errors: 0 };
+    }
+
+    renderRunTracker() {
+        const tracker = this.runTracker;
+        const container = document.getElementById('run-tracker');
+        const entries = [...tracker.runs.values()];
+        
+        // Tick elapsed times every second between polls while something runs
+        if (!entries.length) {
+            clearInterval(tracker.ticker);
+            tracker.ticker = null;
+        } else if (!tracker.ticker) {
+            tracker.ticker = setInterval(() => this.renderRunTracker(), 1000);
+        }
+        
+        const now = new Date();
+        container.hidden = !entries.length;
+        container.innerHTML = entries.map(({ run, job, step }) => {
+            const status = this.getRunStatus(run);
+            const current = job
+                ? `${this.escapeHTML(job.name)}${step ? ` &rsaquo; ${this.escapeHTML(step.name)}` : ''}`
+                : run.status === 'in_progress' ? 'Starting jobs...' : 'Waiting for a runner';
+            const stepElapsed = step?.started_at ? `, step ${this.formatDuration(this.calculateDuration(step.started_at, now))}` : '';
+            return `
+                <div class="tracker-run">
+                    <span class="status-dot ${status.class}"></span>
+                    <a href="${this.githubLink(run.html_url)}" target="_blank" rel="noopener">Run #${this.escapeHTML(run.run_number)}</a>
+                    <span class="tracker-event">${this.escapeHTML(run.event)}</span>
+                    <span class="tracker-step">${current}</span>
+                    <span class="tracker-elapsed">${this.formatDuration(this.calculateDuration(run.run_started_at || run.created_at, now))}${stepElapsed}</span>
+                </div>
+            `;
+        }).join('');
+        
+        this.renderWorkflowStatus();
+    }
+
+    async requestNotificationPermission() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            try {
+                await Notification.requestPermission();
+            } catch (error) {
+                console.warn('Notification permission request failed:', error);
+            }
+        }
+        this.updateNotificationButton();
+    }
+
+    updateNotificationButton() {
+        const button = document.getElementById('enable-notifications');
+        const supported = 'Notification' in window;
+        button.hidden = !supported || Notification.permission === 'granted';
+        if (supported) {
+            button.title = Notification.permission === 'denied'
+                ? 'Notifications are blocked - allow them in the browser site settings'
+                : 'Notify me about finished runs and alerts';
+        }
+    }
+
+    async resetSuccessState() {
+        // The run clears INSTANCE_CREATED, INSTANCE_CREATED_INFO and SUCCESS_PATTERN_DATA, then hunts again
+        const repository = await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}`);
+        await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/workflows/${this.workflowFile}/dispatches`, {
+            method: 'POST',
+            body: JSON.stringify({
+                ref: repository.default_branch || 'main',
+                inputs: {
+                    reset_success_state: 'true'
+                }
+            })
+        });
+    }
+
+    async exportData() {
+        try {
+            const bundle = await this.buildDiagnosticBundle();
+            const stamp = bundle.exportedAt.replace(/[:.]/g, '-');
+            const name = `oracle-instance-dashboard-${this.config.owner}-${this.config.repo}-${stamp}`;
+            
+            this.downloadFile(`${name}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+            if (bundle.patterns.length) {
+                this.downloadFile(`${name}-patterns.csv`, this.buildPatternCSV(bundle.patterns), 'text/csv');
+            }
+            
+            this.showSuccess('Diagnostic bundle exported');
+        } catch (error) {
+            this.showError('Failed to export diagnostics: ' + error.message);
+        }
+    }
+
+    // Everything the dashboard currently shows, minus secrets. Tokens never enter the bundle:
+    // the config goes through getPersistableConfig() and only the dashboard's own variables are kept
+    async buildDiagnosticBundle() {
+        let variables = [];
+        if (this.config.token || this.snapshot) {
+            try {
+                variables = (await this.listRepoVariables()).filter(v => this.snapshotVariables.includes(v.name));
+            } catch (error) {
+                console.warn('Exporting without repository variables:', error);
+            }
+        }
+        
+        const parseVariable = (name) => {
+            try {
+                return JSON.parse(variables.find(v => v.name === name)?.value || '[]');
+            } catch (error) {
+                return [];
+            }
+        };
+        let patterns = [];
+        try {
+            patterns = this.parsePatternData(variables.find(v => v.name === 'SUCCESS_PATTERN_DATA')?.value);
+        } catch (error) {
+            console.warn('Exporting without malformed SUCCESS_PATTERN_DATA:', error);
+        }
+        const model = this.buildSuccessModel(patterns);
+        const schedule = this.schedule ? this.analyzeSchedule(this.schedule) : null;
+        
+        return {
+            format: 'oic-dashboard-diagnostics',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            lastUpdate: this.lastUpdate,
+            config: this.getPersistableConfig(),
+            variables,
+            patterns,
+            adStats: this.computeADStats(patterns),
+            breakers: parseVariable('AD_FAILURE_DATA').map(record => ({ ...record, ...this.getBreakerState(record) })),
+            runs: this.runsView.runs.map(run => ({
+                id: run.id,
+                run_number: run.run_number,
+                name: run.name,
+                event: run.event,
+                status: run.status,
+                conclusion: run.conclusion,
+                head_branch: run.head_branch,
+                created_at: run.created_at,
+                run_started_at: run.run_started_at,
+                updated_at: run.updated_at,
+                html_url: run.html_url
+            })),
+            metrics: {
+                successRate: {
+                    successes: model.successes,
+                    total: model.launches.length,
+                    rate: model.rate,
+                    since: model.since,
+                    verifications: model.verifications,
+                    attempts: model.attempts
+                },
+                usage: this.usage,
+                performance: this.performance.runs,
+                failures: this.failures.runs,
+                thresholds: this.performance.thresholds
+            },
+            schedule: schedule && {
+                enabled: schedule.enabled,
+                nextRun: schedule.nextRun,
+                nextEntry: schedule.nextEntry && { cron: schedule.nextEntry.cron, tier: schedule.nextEntry.tier },
+                entries: this.schedule.entries.map(({ cron, tier, description, enabled, error }) => ({ cron, tier, description, enabled, error }))
+            },
+            responses: this.collectSnapshotResponses()
+        };
+    }
+
+    collectSnapshotResponses() {
+        // Cached GET responses let an imported snapshot replay the same panels; auth mode is
+        // dropped from the key and job logs are skipped for size. The cache also holds the other
+        // configured repositories, which stay out of the bundle
+        const responses = this.snapshot ? { ...this.snapshot.responses } : {};
+        this.api.cache.forEach(({ data }, key) => {
+            const requestKey = key.slice(key.indexOf(' ') + 1);
+            if (requestKey.endsWith('/logs') || !this.isSnapshotEndpoint(requestKey.slice(requestKey.indexOf(' ') + 1))) {
+                return;
+            }
+            responses[requestKey] = data && Array.isArray(data.variables)
+                ? { ...data, variables: data.variables.filter(v => this.snapshotVariables.includes(v.name)) }
+                : data;
+        });
+        return responses;
+    }
+
+    buildPatternCSV(patterns) {
+        const columns = ['timestamp', 'type', 'ad', 'hour_utc', 'day_of_week', 'attempt', 'total_attempts', 'context'];
+        const escape = (value) => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...patterns.map(pattern => columns.map(column => escape(pattern[column])).join(','))].join('\n') + '\n';
+    }
+
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    isSnapshotEndpoint(endpoint, owner = this.config.owner, repo = this.config.repo) {
+        const base = `/repos/${owner}/${repo}`;
+        return endpoint === base || endpoint.startsWith(`${base}/`) || endpoint.startsWith(`${base}?`);
+    }
+
+    async importSnapshot(file) {
+        try {
+            const bundle = this.validateSnapshotBundle(JSON.parse(await file.text()));
+            if (this.config.tokenStorage !== 'encrypted' && Object.keys(this.getTokenMap()).length &&
+                !confirm('Opening a snapshot signs out of this session: tokens that are not in the encrypted vault have to be entered again after Exit Snapshot. Continue?')) {
+                return;
+            }
+            this.enterSnapshotMode(bundle);
+        } catch (error) {
+            this.showError('Failed to import snapshot: ' + error.message);
+        }
+    }
+
+    validateSnapshotBundle(bundle) {
+        // Bundles are shared files, so every field the panels read is checked before it is used
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isName = (value) => typeof value === 'string' && /^[A-Za-z0-9_.-]+$/.test(value);
+        if (!isObject(bundle) || bundle.format !== 'oic-dashboard-diagnostics' || !isObject(bundle.config)) {
+            throw new Error('Not a dashboard diagnostic bundle');
+        }
+        
+        const { owner, repo } = bundle.config;
+        const repositories = bundle.config.repositories ?? [];
+        if (!isName(owner) || !isName(repo)) {
+            throw new Error('The bundle names no valid repository');
+        }
+        if (!Array.isArray(repositories) || repositories.some(entry => !isObject(entry) || !isName(entry.owner) || !isName(entry.repo) ||
+            (entry.label !== undefined && typeof entry.label !== 'string'))) {
+            throw new Error('config.repositories is malformed');
+        }
+        if (bundle.config.planLimit !== undefined && !(Number(bundle.config.planLimit) > 0)) {
+            throw new Error('config.planLimit must be a positive number');
+        }
+        if (typeof bundle.exportedAt !== 'string' || Number.isNaN(Date.parse(bundle.exportedAt))) {
+            throw new Error('exportedAt is not a date');
+        }
+        
+        const responses = bundle.responses ?? {};
+        if (!isObject(responses)) {
+            throw new Error('responses must be an object');
+        }
+        // Keys are "<accept> <endpoint>"; bundles exported before the export was limited to one
+        // repository may still carry others, which are dropped
+        const replayable = {};
+        Object.entries(responses).forEach(([key, value]) => {
+            const endpoint = key.slice(key.indexOf(' ') + 1);
+            if (!key.includes(' ') || !this.isSnapshotEndpoint(endpoint, owner, repo)) {
+                return;
+            }
+            if (!isObject(value) && !Array.isArray(value) && typeof value !== 'string' && value !== null) {
+                throw new Error(`Response for ${endpoint} is not JSON or text`);
+            }
+            replayable[key] = value;
+        });
+        
+        const metrics = bundle.metrics ?? {};
+        if (!isObject(metrics)) {
+            throw new Error('metrics must be an object');
+        }
+        ['performance', 'failures'].forEach(name => {
+            if (metrics[name] != null && (!Array.isArray(metrics[name]) || !metrics[name].every(isObject))) {
+                throw new Error(`metrics.${name} must be a list of records`);
+            }
+        });
+        ['usage', 'thresholds'].forEach(name => {
+            if (metrics[name] != null && !isObject(metrics[name])) {
+                throw new Error(`metrics.${name} must be an object`);
+            }
+        });
+        
+        return {
+            ...bundle,
+            config: { owner, repo, planLimit: bundle.config.planLimit === undefined ? undefined : Number(bundle.config.planLimit), repositories },
+            responses: replayable,
+            metrics
+        };
+    }
+
+    enterSnapshotMode(bundle) {
+        this.snapshot = bundle;
+        
+        // Whatever a crafted bundle could make the page run must not find a token: drop the
+        // session copy and the vault key (the encrypted vault needs the passphrase again)
+        sessionStorage.removeItem('oic-dashboard-tokens');
+        this.tokenVault.key = null;
+        this.tokenVault.salt = null;
+        
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        
+        // Replace the live config in memory only; saveConfig() is a no-op while the snapshot is open
+        const repositories = bundle.config.repositories.map(entry => ({ label: entry.label || '', owner: entry.owner, repo: entry.repo, token: '' }));
+        this.config = {
+            ...this.config,
+            planLimit: bundle.config.planLimit || this.config.planLimit,
+            repositories: repositories.length ? repositories : [{ label: '', owner: bundle.config.owner, repo: bundle.config.repo, token: '' }]
+        };
+        this.applyActiveRepository(`${bundle.config.owner}/${bundle.config.repo}`);
+        this.api.cache.clear();
+        this.repoSummaries.clear();
+        this.resetRepositoryState();
+        
+        document.getElementById('snapshot-details').textContent =
+            `${bundle.config.owner}/${bundle.config.repo}, exported ${this.formatDateSafe(bundle.exportedAt)}`;
+        document.getElementById('snapshot-banner').hidden = false;
+        this.updateConnectionStatus();
+        this.refreshData();
+    }
+
+    getSnapshotResponse(endpoint, method, accept) {
+        if (method !== 'GET') {
+            return Promise.reject(new Error('Snapshot mode is read-only'));
+        }
+        
+        const key = `${accept} ${endpoint}`;
+        if (!Object.prototype.hasOwnProperty.call(this.snapshot.responses, key)) {
+            return Promise.reject(new Error('Not captured in this snapshot'));
+        }
+        return Promise.resolve(this.snapshot.responses[key]);
+    }
+
+    viewLogs() {
+        const url = `https://github.com/${this.config.owner}/${this.config.repo}/actions`;
+        window.open(url, '_blank');
+    }
+
+    getAlertState() {
+        if (!this.alerts.state) {
+            const key = `oic-dashboard-alerts-${this.config.owner}/${this.config.repo}`;
+            try {
+                const saved = JSON.parse(localStorage.getItem(key));
+                this.alerts.state = saved && saved.fired && Array.isArray(saved.history) ? saved : null;
+            } catch (error) {
+                console.warn('Ignoring corrupt alert history:', error);
+            }
+            this.alerts.state = this.alerts.state || { fired: {}, history: [] };
+        }
+        return this.alerts.state;
+    }
+
+    saveAlertState() {
+        const state = this.getAlertState();
+        // Keep the newest 200 fired keys - old conditions cannot recur with the same key anyway
+        state.fired = Object.fromEntries(Object.entries(state.fired).sort((a, b) => b[1] - a[1]).slice(0, 200));
+        state.history = state.history.slice(0, 50);
+        localStorage.setItem(`oic-dashboard-alerts-${this.config.owner}/${this.config.repo}`, JSON.stringify(state));
+    }
+
+    async evaluateAlerts() {
+        const rules = this.config.alertRules;
+        const owner = this.config.owner;
+        const repo = this.config.repo;
+        const alerts = [];
+        
+        try {
+            if (rules['failed-runs'].enabled || rules['no-runs'].enabled) {
+                const data = await this.githubReadAPI(`/repos/${owner}/${repo}/actions/workflows/${this.workflowFile}/runs?per_page=30`);
+                alerts.push(...this.checkRunAlerts(data.workflow_runs || []));
+            }
+        } catch (error) {
+            console.warn('Run alerts skipped:', error);
+        }
+        
+        // Repository switched while the runs were loading
+        if (owner !== this.config.owner || repo !== this.config.repo) {
+            return;
+        }
+        
+        const { created, info } = this.instance;
+        if (rules['instance-created'].enabled && created && info) {
+            alerts.push({
+                key: `instance-created:${info.timestamp || info.instance_id}`,
+                severity: 'success',
+                title: 'Instance created',
+                body: `${info.shape || 'Instance'} ${info.instance_id || ''} in ${info.ad || 'an unknown AD'}`.replace(/\s+/g, ' ')
+            });
+        }
+        
+        if (rules['breaker-open'].enabled) {
+            this.circuitBreaker.records
+                .filter(record => this.getBreakerState(record).state === 'open')
+                .forEach(record => alerts.push({
+                    key: `breaker-open:${record.ad}:${record.last_failure}`,
+                    severity: 'warning',
+                    title: 'Circuit breaker opened',
+                    body: `${record.ad} is skipped after ${record.failures} consecutive failures`
+                }));
+        }
+        
+        const limit = this.getPlanLimit();
+        const threshold = Number(rules.usage.threshold);
+        if (rules.usage.enabled && this.usage && limit && this.usage.usedMinutes / limit * 100 > threshold) {
+            alerts.push({
+                key: `usage:${this.usage.month}:${threshold}`,
+                severity: 'warning',
+                title: `Actions usage above ${threshold}%`,
+                body: `${this.usage.usedMinutes}/${limit} minutes used, ${this.usage.projectedMinutes} projected for ${this.usage.month}`
+            });
+        }
+        
+        this.deliverAlerts(alerts);
+    }
+
+    checkRunAlerts(runs) {
+        const rules = this.config.alertRules;
+        const alerts = [];
+        
+        // Newest first; the streak ends at the first run that did not genuinely fail
+        const streak = [];
+        for (const run of runs.filter(candidate => candidate.status === 'completed')) {
+            const status = this.getRunStatus(run).class;
+            if (status === 'neutral') {
+                continue;
+            }
+            if (status !== 'error') {
+                break;
+            }
+            streak.push(run);
+        }
+        const failureLimit = Number(rules['failed-runs'].threshold);
+        if (rules['failed-runs'].enabled && streak.length >= failureLimit) {
+            alerts.push({
+                // Keyed by the run that started the streak, so a growing streak alerts once
+                key: `failed-runs:${streak[streak.length - 1].id}`,
+                severity: 'error',
+                title: `${streak.length} consecutive failed runs`,
+                body: `Latest: run #${streak[0].run_number} (${streak[0].conclusion})`
+            });
+        }
+        
+        const hours = Number(rules['no-runs'].threshold);
+        const latest = runs[0];
+        const silence = latest ? (Date.now() - Date.parse(latest.created_at)) / 3600000 : Infinity;
+        if (rules['no-runs'].enabled && silence > hours) {
+            alerts.push({
+                key: `no-runs:${latest ? latest.id : 'none'}:${hours}`,
+                severity: 'error',
+                title: `No run for ${hours}+ hours`,
+                body: latest
+                    ? `Last run #${latest.run_number} started ${this.formatDateSafe(latest.created_at)} - check that the schedule is still enabled`
+                    : 'The workflow has never run - check that it is enabled'
+            });
+        }
+        
+        return alerts;
+    }
+
+    deliverAlerts(alerts) {
+        const state = this.getAlertState();
+        const fresh = alerts.filter(alert => !state.fired[alert.key]);
+        if (fresh.length === 0) {
+            return;
+        }
+        
+        const now = Date.now();
+        fresh.forEach(alert => {
+            state.fired[alert.key] = now;
+            state.history.unshift({ ...alert, time: now });
+            this.showNotification(`${alert.title}: ${alert.body}`, alert.severity);
+            
+            if ('Notification' in window && Notification.permission === 'granted') {
+                new Notification(alert.title, {
+                    body: `${this.config.owner}/${this.config.repo} - ${alert.body}`,
+                    tag: `oic-alert-${alert.key}`
+                });
+            }
+        });
+        this.saveAlertState();
+        this.renderAlertHistory();
+    }
+
+    renderAlertHistory() {
+        const container = document.getElementById('alert-history');
+        if (!this.config.owner || !this.config.repo) {
+            container.innerHTML = '<div class="loading">No alerts yet</div>';
+            return;
+        }
+        
+        const history = this.getAlertState().history;
+        container.innerHTML = history.length === 0
+            ? '<div class="loading">No alerts yet - rules are checked on every refresh</div>'
+            : history.map(alert => `
+                <div class="alert-item ${alert.severity}">
+                    <div class="alert-item-header">
+                        <strong>${this.escapeHTML(alert.title)}</strong>
+                        <span>${this.formatDateSafe(alert.time)}</span>
+                    </div>
+                    <p>${this.escapeHTML(alert.body)}</p>
+                </div>
+            `).join('');
+    }
+
+    renderAlertRules() {
+        document.getElementById('alert-rules').innerHTML = this.alertRuleTypes.map(type => {
+            const rule = this.config.alertRules[type.id];
+            const threshold = type.unit ? `
+                <span class="alert-rule-threshold">
+                    <input type="number" data-rule-threshold="${type.id}" min="${type.min}" value="${this.escapeHTML(String(rule.threshold))}" required>
+                    ${type.unit}
+                </span>
+            ` : '';
+            return `
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" data-rule="${type.id}" ${rule.enabled ? 'checked' : ''}> ${type.label}
+                    </label>
+                    ${threshold}
+                    <small>${type.description}</small>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async saveAlertRules() {
+        document.querySelectorAll('#alert-rules [data-rule]').forEach(input => {
+            this.config.alertRules[input.dataset.rule].enabled = input.checked;
+        });
+        document.querySelectorAll('#alert-rules [data-rule-threshold]').forEach(input => {
+            const type = this.alertRuleTypes.find(candidate => candidate.id === input.dataset.ruleThreshold);
+            this.config.alertRules[type.id].threshold = Math.max(type.min, Number(input.value) || type.min);
+        });
+        
+        // Saving is a click, so the browser allows the permission prompt
+        this.requestNotificationPermission();
+        this.closeModal();
+        await this.saveConfig();
+        if (!this.snapshot && this.config.owner && this.config.repo) {
+            await this.evaluateAlerts();
+        }
     }
 
-    displayCachedData(data) {
-        // Update UI with cached data
-        if (data.instanceStatus) {
-            document.getElementById('instance-status').textContent = data.instanceStatus;
-            document.getElementById('instance-trend').textContent = 'Cached data';
+    async openConfigCheck() {
+        if (!this.config.owner || !this.config.repo) {
+            this.showError('Configure a repository first');
+            return;
         }
         
-        if (data.workflowRuns) {
-            const container = document.getElementById('workflow-runs');
-            container.innerHTML = data.workflowRuns.map(run => `
-                <div class="run-item ${this.getRunStatusClass(run.status).class}">
-                    <span class="run-status">${this.getRunStatusClass(run.status).text}</span>
-                    <span class="run-time">${this.formatDateSafe(run.created_at)} (cached)</span>
-                    <span class="run-duration">${run.duration || '--'}s</span>
-                </div>
-            `).join('');
-        }
+        const results = document.getElementById('config-results');
+        document.getElementById('config-summary').textContent = '';
+        results.innerHTML = '<div class="loading">Checking configuration...</div>';
+        this.openModal('config-modal');
         
-        // Update last refresh time
-        document.getElementById('last-update').innerHTML = `
-            <span>Last updated (cached): ${this.formatDateSafe(this.offlineMode.cacheTimestamp)}</span>
-        `;
+        const groups = this.buildConfigChecks(await this.loadConfigSources());
+        this.renderConfigCheck(groups);
     }
 
-    displayOfflineMessage() {
-        // Show offline placeholders
-        document.getElementById('instance-status').textContent = 'Offline';
-        document.getElementById('instance-trend').textContent = 'No cached data available';
+    async loadConfigSources() {
+        const base = `/repos/${this.config.owner}/${this.config.repo}`;
+        // Each source fails on its own - e.g. listing secrets needs more permissions than the rest
+        const [defaults, workflow, secrets, variables] = await Promise.allSettled([
+            this.fetchRepoFile('config/defaults.yml').then(text => this.parseYAML(text)),
+            this.fetchRepoFile(`.github/workflows/${this.workflowFile}`),
+            this.githubAPI(`${base}/actions/secrets?per_page=100`).then(result => result.secrets || []),
+            this.listRepoVariables()
+        ]);
+        const value = (result) => result.status === 'fulfilled' ? result.value : null;
+        const error = (result) => result.status === 'rejected' ? result.reason.message : null;
         
-        document.getElementById('workflow-runs').innerHTML = `
-            <div class="loading">
-                <i class="fas fa-wifi" style="opacity: 0.5;"></i>
-                No connection - cached data unavailable
-            </div>
-        `;
+        let env = null;
+        if (workflow.status === 'fulfilled') {
+            try {
+                // The job that runs validate-config.sh and launch-parallel.sh carries the instance settings
+                env = this.resolveWorkflowEnv(this.findInstanceEnv(workflow.value), value(variables));
+            } catch (parseError) {
+                console.warn('Could not parse the workflow env:', parseError);
+            }
+        }
         
-        document.getElementById('last-update').innerHTML = `
-            <span>Offline mode - no data available</span>
-        `;
+        return {
+            validation: value(defaults)?.validation || null,
+            defaultsError: error(defaults),
+            workflow: value(workflow),
+            env,
+            workflowError: error(workflow),
+            secrets: value(secrets),
+            secretsError: error(secrets),
+            variables: value(variables),
+            variablesError: error(variables)
+        };
     }
 
-    cacheCurrentData() {
-        try {
-            const currentData = {
-                instanceStatus: document.getElementById('instance-status')?.textContent,
-                instanceTrend: document.getElementById('instance-trend')?.textContent,
-                successRate: document.getElementById('success-rate')?.textContent,
-                usagePercentage: document.getElementById('usage-percentage')?.textContent,
-                workflowRuns: this.getCurrentWorkflowData(),
-                lastRefresh: new Date().toISOString()
-            };
-            
-            this.cacheData(currentData);
-        } catch (error) {
-            console.warn('Failed to cache current data:', error);
-        }
+    findInstanceEnv(workflow) {
+        // The job that runs validate-config.sh and launch-parallel.sh carries the instance settings
+        const jobs = Object.values(this.parseYAML(workflow)?.jobs || {});
+        return jobs.find(job => job?.env?.OCI_AD !== undefined || job?.env?.OCI_SHAPE !== undefined)?.env || {};
+    }
+
+    resolveWorkflowEnv(env, variables) {
+        // `${{ vars.NAME || 'default' }}` resolves to the repository variable when it is set
+        const resolved = {};
+        Object.entries(env).forEach(([name, value]) => {
+            const match = String(value).match(/^\$\{\{\s*vars\.([A-Za-z0-9_]+)\s*\|\|\s*'([^']*)'\s*\}\}$/);
+            const variable = match && (variables || []).find(candidate => candidate.name === match[1]);
+            resolved[name] = match ? (variable ? variable.value : match[2]) : value;
+        });
+        return resolved;
     }
 
-    getCurrentWorkflowData() {
-        const runs = [];
-        const runElements = document.querySelectorAll('#workflow-runs .run-item');
+    buildConfigChecks(sources) {
+        const validation = sources.validation || {};
+        const required = validation.required_secrets || [];
+        const optional = validation.optional_secrets || [];
+        const patterns = validation.ocid_patterns || {};
+        const check = (level, name, message, explain = '') => ({ level, name, message, explain });
+        const groups = [];
         
-        runElements.forEach(element => {
-            const statusElement = element.querySelector('.run-status');
-            const timeElement = element.querySelector('.run-time');
-            const durationElement = element.querySelector('.run-duration');
+        if (!sources.validation) {
+            groups.push({
+                title: 'config/defaults.yml',
+                checks: [check('error', 'config/defaults.yml', 'Could not be read', `${sources.defaultsError || 'No validation section'} - required secrets and OCID patterns come from this file`)]
+            });
+        }
+        
+        // Secrets: only names are readable, values never leave GitHub
+        const referenced = [...new Set([...(sources.workflow || '').matchAll(/secrets\.([A-Z0-9_]+)/g)].map(match => match[1]))]
+            .filter(name => name !== 'GITHUB_TOKEN');
+        const variableNames = new Set((sources.variables || []).map(variable => variable.name));
+        const workflowVariables = new Set([...(sources.workflow || '').matchAll(/\bvars\.([A-Za-z0-9_]+)/g)].map(match => match[1]));
+        const describe = (name) => this.secretDescriptions[name] ? `${this.secretDescriptions[name]}.` : '';
+        if (!sources.secrets) {
+            groups.push({
+                title: 'Secrets',
+                checks: [check('warning', 'Secrets', `Could not list secrets: ${sources.secretsError}`,
+                    'Listing secret names needs a token with the Secrets read permission (fine-grained) or the repo scope (classic). Secret values are never readable.')]
+            });
+        } else {
+            const secrets = new Map(sources.secrets.map(secret => [secret.name, secret]));
+            const updated = (name) => `Set, updated ${this.formatDateSafe(secrets.get(name).updated_at)}`;
+            const misplaced = (name) => variableNames.has(name)
+                ? ` It exists as a repository variable, but the workflow reads secrets.${name} - move it to Actions secrets.`
+                : '';
             
-            runs.push({
-                status: statusElement?.textContent || 'Unknown',
-                created_at: timeElement?.textContent || new Date().toISOString(),
-                duration: durationElement?.textContent?.replace('s', '') || 0
+            groups.push({
+                title: 'Required secrets',
+                checks: required.map(name => secrets.has(name)
+                    ? check('ok', name, updated(name), describe(name))
+                    : check('error', name, 'Missing',
+                        `${describe(name)} validate-config.sh stops with "Required environment variable ${name} is not set" before any launch attempt.${misplaced(name)}`))
             });
-        });
+            
+            const extra = referenced.filter(name => !required.includes(name) && !optional.includes(name));
+            const unused = sources.workflow ? [...secrets.keys()].filter(name => !referenced.includes(name) && !required.includes(name)) : [];
+            groups.push({
+                title: 'Optional secrets',
+                checks: [
+                    ...[...optional, ...extra].map(name => secrets.has(name)
+                        ? check('ok', name, updated(name), describe(name))
+                        : check('info', name, 'Not set', `${describe(name)}${misplaced(name)}`)),
+                    ...unused.map(name => check('warning', name, `Not used by ${this.workflowFile}`,
+                        'No step reads this secret - check the name for typos against config/defaults.yml.'))
+                ]
+            });
+        }
         
-        return runs;
+        // Variables: readable, so OCIDs are held against ocid_patterns
+        const ocidTypes = { OCI_USER_OCID: 'user', OCI_TENANCY_OCID: 'tenancy', OCI_COMPARTMENT_ID: 'compartment', OCI_SUBNET_ID: 'subnet', OCI_IMAGE_ID: 'image' };
+        if (!sources.variables) {
+            groups.push({
+                title: 'Variables',
+                checks: [check('warning', 'Variables', `Could not list variables: ${sources.variablesError}`, 'Listing variables needs a token with the Variables read permission.')]
+            });
+        } else {
+            groups.push({
+                title: 'Variables',
+                checks: sources.variables.map(({ name, value }) => {
+                    if (this.snapshotVariables.includes(name)) {
+                        return this.checkStateVariable(name, value);
+                    }
+                    const type = ocidTypes[name] || String(value).match(/^ocid1\.([a-z0-9]+)\./)?.[1];
+                    const note = required.includes(name) || optional.includes(name) || referenced.includes(name)
+                        ? ` The workflow reads secrets.${name}, not this variable.`
+                        : '';
+                    if (type) {
+                        return this.checkOcid(name, value, type, patterns, note);
+                    }
+                    if (workflowVariables.has(name)) {
+                        return check('ok', name, 'Overrides the workflow default', 'Validated under Workflow settings.');
+                    }
+                    return check(note ? 'warning' : 'info', name, 'Not read by the workflow', note.trim());
+                })
+            });
+        }
+        
+        if (sources.env) {
+            groups.push({ title: `Workflow settings (${this.workflowFile})`, checks: this.checkWorkflowEnv(sources.env, validation, patterns) });
+        } else {
+            groups.push({
+                title: 'Workflow settings',
+                checks: [check('warning', this.workflowFile, 'Could not read the job env', sources.workflowError || 'No job sets OCI_AD or OCI_SHAPE')]
+            });
+        }
+        
+        return groups;
     }
 
-    async updateRegionalAnalysis(region = 'auto') {
-        const container = document.getElementById('schedule-recommendations');
-        
-        // Regional schedule recommendations
-        const recommendations = this.getRegionalRecommendations(region);
-        
-        container.innerHTML = recommendations.map(rec => `
-            <div class="schedule-card">
-                <div class="schedule-title">${rec.title}</div>
-                <div class="schedule-details">${rec.description}</div>
-                <div class="schedule-metrics">
-                    <div class="metric">Cron: ${rec.cron}</div>
-                    <div class="metric">${rec.frequency}</div>
-                    <div class="metric">${rec.usage}</div>
-                </div>
-            </div>
-        `).join('');
+    checkStateVariable(name, value) {
+        const check = (level, message, explain) => ({ level, name, message, explain });
+        if (name === 'INSTANCE_CREATED') {
+            return ['true', 'false'].includes(value)
+                ? check('ok', `Managed by the workflow (${value})`, value === 'true' ? 'Scheduled runs are skipped while this is true.' : '')
+                : check('error', `Unexpected value "${value}"`, 'The workflow skips runs only when this is exactly "true" - use Reset Success State to clear it.');
+        }
+        try {
+            JSON.parse(value);
+            return check('ok', 'Managed by the workflow', '');
+        } catch (error) {
+            return check('warning', 'Not valid JSON', 'The scripts expect JSON here and will start over from an empty value.');
+        }
     }
 
-    getRegionalRecommendations(region) {
-        const recommendations = {
-            'ap-singapore-1': [
-                {
-                    title: 'Off-Peak Aggressive',
-                    description: '2-7am UTC (10am-3pm SGT) - Lunch/low activity hours',
-                    cron: '*/15 2-7 * * *',
-                    frequency: '24 runs/day',
-                    usage: '720 min/month'
-                },
-                {
-                    title: 'Peak Conservative', 
-                    description: '8am-1am UTC (4pm-9am SGT) - Avoid business peak',
-                    cron: '0 8-23,0-1 * * *',
-                    frequency: '18 runs/day',
-                    usage: '540 min/month'
-                },
-                {
-                    title: 'Weekend Boost',
-                    description: '1-6am UTC weekends (9am-2pm SGT) - Lower weekend demand',
-                    cron: '*/20 1-6 * * 6,0',
-                    frequency: '18 runs/weekend',
-                    usage: '144 min/month'
-                }
-            ],
-            'us-east-1': [
-                {
-                    title: 'Night Hours Aggressive',
-                    description: '6-12 UTC (1am-7am EST) - Deep night hours',
-                    cron: '*/15 6-12 * * *',
-                    frequency: '24 runs/day',
-                    usage: '720 min/month'
-                },
-                {
-                    title: 'Business Hours Conservative',
-                    description: '13-5 UTC (8am-12am EST) - Avoid business/evening',
-                    cron: '0 13-23,0-5 * * *',
-                    frequency: '17 runs/day', 
-                    usage: '510 min/month'
-                }
-            ],
-            'eu-frankfurt-1': [
-                {
-                    title: 'Evening Low Activity',
-                    description: '18-23 UTC (7pm-12am CET) - Evening low usage',
-                    cron: '*/15 18-23 * * *',
-                    frequency: '24 runs/day',
-                    usage: '720 min/month'
-                },
-                {
-                    title: 'Non-Business Hours',
-                    description: '0-8,17 UTC (1am-9am,6pm CET) - Outside business',
-                    cron: '0 0-8,17 * * *',
-                    frequency: '9 runs/day',
-                    usage: '270 min/month'
-                }
-            ]
-        };
-        
-        return recommendations[region] || recommendations['ap-singapore-1'];
+    checkOcid(name, value, type, patterns, note = '') {
+        const check = (level, message, explain) => ({ level, name, message, explain: `${explain}${note}`.trim() });
+        const pattern = patterns[type];
+        const actual = String(value).match(/^ocid1\.([a-z0-9]+)\./)?.[1];
+        if (actual && actual !== type) {
+            return check('error', `A ${actual} OCID, expected a ${type} OCID`, `Copy the ${type} OCID from the OCI console - launches fail with a 400/404 error otherwise.`);
+        }
+        // Types without a pattern in config/defaults.yml fall back to is_valid_ocid() in utils.sh
+        const valid = pattern ? new RegExp(pattern).test(value) : /^ocid1\.[a-z0-9]+\.[a-z0-9-]*\.[a-z0-9-]*\..+/.test(value);
+        return valid
+            ? check(note ? 'warning' : 'ok', `Valid ${type} OCID`, '')
+            : check('error', 'Invalid OCID format', `Expected ocid1.${type}.<realm>.<region>.<unique id>${pattern ? ` (ocid_patterns.${type})` : ''} - validate-config.sh stops on this.`);
     }
 
-    calculateNextRun() {
-        // Simplified calculation for next cron run
-        // In a real implementation, you'd parse the actual cron expressions
-        const now = new Date();
-        const nextRun = new Date(now);
-        
-        // Find next 15-minute interval for aggressive schedule (2-7am UTC)
-        const hour = now.getUTCHours();
-        const minute = now.getUTCMinutes();
-        
-        if (hour >= 2 && hour < 7) {
-            // In aggressive window - next 15-minute mark
-            const nextMinute = Math.ceil(minute / 15) * 15;
-            if (nextMinute >= 60) {
-                nextRun.setUTCHours(hour + 1, 0, 0, 0);
+    checkWorkflowEnv(env, validation, patterns) {
+        const checks = [];
+        const add = (level, name, message, explain = '') => checks.push({ level, name, message, explain });
+        const limits = validation.free_tier_limits || {};
+        // Variable defaults are resolved already; other expressions only resolve on the runner
+        const get = (name) => (env[name] === undefined || String(env[name]).includes('${{')) ? undefined : String(env[name]);
+        const integer = (name, fallback, min, max, unit = '') => {
+            const value = get(name) ?? fallback;
+            if (value === undefined) {
+                return;
+            }
+            if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+                add('error', name, `"${value}" is out of range`, `validate-config.sh requires an integer between ${min}-${max}${unit}.`);
+            } else {
+                add('ok', name, `${value}${unit}`, get(name) === undefined ? 'Not set - the script default applies.' : '');
+            }
+        };
+        const choice = (name, fallback, options) => {
+            const value = get(name) ?? fallback;
+            if (options.includes(value)) {
+                add('ok', name, value);
             } else {
-                nextRun.setUTCMinutes(nextMinute, 0, 0);
+                add('error', name, `"${value}" is not allowed`, `validate-config.sh accepts ${options.map(option => `'${option}'`).join(' or ')}.`);
             }
+        };
+        
+        // validate_availability_domain() in utils.sh
+        const ads = get('OCI_AD') ?? 'fgaj:AP-SINGAPORE-1-AD-1';
+        const badAd = ads.split(',').map(ad => ad.trim()).find(ad => !/^[a-zA-Z0-9-]+:[A-Z0-9-]+-[A-Z]+-[0-9]+-AD-[0-9]+$/.test(ad));
+        if (/^\s*,|,\s*$|,,/.test(ads) || badAd !== undefined) {
+            add('error', 'OCI_AD', badAd ? `Invalid availability domain "${badAd}"` : 'Empty entry in the AD list',
+                'Expected comma-separated tenancy_prefix:REGION-AD-N names, e.g. fgaj:AP-SINGAPORE-1-AD-1 - validate-config.sh stops on this.');
         } else {
-            // In conservative window - next hour
-            nextRun.setUTCHours(hour + 1, 0, 0, 0);
+            add('ok', 'OCI_AD', ads, ads.includes(',') ? `${ads.split(',').length} ADs are cycled on capacity errors.` : 'Add more ADs, comma-separated, to cycle through them on capacity errors.');
         }
         
-        return nextRun;
-    }
-
-    getCurrentScheduleContext() {
-        const hour = new Date().getUTCHours();
-        const day = new Date().getUTCDay();
-        
-        if (hour >= 2 && hour < 7) {
-            return 'Off-peak aggressive (SGT lunch hours)';
-        } else if ((day === 0 || day === 6) && hour >= 1 && hour < 6) {
-            return 'Weekend boost period';
+        // validate_boot_volume_size() in utils.sh
+        const bootVolume = get('BOOT_VOLUME_SIZE') ?? '50';
+        if (!/^\d+$/.test(bootVolume) || Number(bootVolume) < 50) {
+            add('error', 'BOOT_VOLUME_SIZE', `"${bootVolume}" GB`, 'Oracle requires a whole number of at least 50 GB.');
+        } else if (Number(bootVolume) > 10000) {
+            add('warning', 'BOOT_VOLUME_SIZE', `${bootVolume} GB`, 'Over 10 TB - validate-config.sh warns that this seems very large.');
         } else {
-            return 'Conservative peak hours';
+            add('ok', 'BOOT_VOLUME_SIZE', `${bootVolume} GB`);
         }
-    }
-
-    async githubAPI(endpoint, options = {}) {
-        if (!this.config.token) {
-            throw new Error('GitHub token not configured');
+        
+        // Flexible shapes need OCPU and memory settings (preflight-check.sh)
+        const shape = get('OCI_SHAPE') ?? 'VM.Standard.A1.Flex';
+        add('ok', 'OCI_SHAPE', shape, 'Validation default - launch-parallel.sh overrides the shape, OCPUs and memory per launch.');
+        if (shape.endsWith('Flex')) {
+            [['OCI_OCPUS', '4', limits.max_ocpus_arm, 'OCPUs'], ['OCI_MEMORY_IN_GBS', '24', limits.max_memory_gb_arm, 'GB']].forEach(([name, fallback, max, unit]) => {
+                const value = get(name) ?? fallback;
+                if (!/^\d+$/.test(value) || Number(value) <= 0) {
+                    add('error', name, `"${value}"`, `${name} must be a positive integer for flexible shapes.`);
+                } else if (max && shape === 'VM.Standard.A1.Flex' && Number(value) > max) {
+                    add('warning', name, `${value} ${unit}`, `Above the Always Free limit of ${max} ${unit} (free_tier_limits) - the launch would be billed or rejected.`);
+                } else {
+                    add('ok', name, `${value} ${unit}`);
+                }
+            });
         }
         
-        const url = `https://api.github.com${endpoint}`;
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${this.config.token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                ...options.headers
-            },
-            ...options
-        });
+        choice('ASSIGN_PUBLIC_IP', 'false', ['true', 'false']);
+        choice('LEGACY_IMDS_ENDPOINTS', 'false', ['true', 'false']);
+        choice('RECOVERY_ACTION', 'RESTORE_INSTANCE', ['RESTORE_INSTANCE', 'STOP_INSTANCE']);
+        integer('RETRY_WAIT_TIME', '30', 5, 300, 's');
+        integer('INSTANCE_VERIFY_DELAY', undefined, 5, 120, 's');
+        integer('INSTANCE_VERIFY_MAX_CHECKS', undefined, 1, 20);
+        integer('TRANSIENT_ERROR_MAX_RETRIES', '3', 1, 10);
+        integer('TRANSIENT_ERROR_RETRY_DELAY', '15', 1, 60, 's');
         
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+        if (get('OPERATING_SYSTEM')) {
+            add('ok', 'OPERATING_SYSTEM', `${get('OPERATING_SYSTEM')} ${get('OS_VERSION') || ''}`.trim());
+        } else {
+            add('warning', 'OPERATING_SYSTEM', 'Not set', 'validate-config.sh falls back to Oracle Linux 10, but preflight-check.sh reports it as missing.');
         }
         
-        return response.json();
+        Object.keys(env).filter(name => /^OCI_CACHED_.*_IMAGE$/.test(name) && get(name)).forEach(name => {
+            checks.push(this.checkOcid(name, get(name), 'image', patterns));
+        });
+        return checks;
     }
 
-    async githubPublicAPI(endpoint, options = {}) {
-        // Public API calls that don't require authentication
-        const url = `https://api.github.com${endpoint}`;
-        const response = await fetch(url, {
-            headers: {
-                'Accept': 'application/vnd.github.v3+json',
-                ...options.headers
-            },
-            ...options
-        });
-        
-        if (!response.ok) {
-            if (response.status === 403) {
-                // Rate limited on public API
-                throw new Error('GitHub API rate limit exceeded. Please try again later.');
-            } else if (response.status === 404) {
-                throw new Error('Repository not found or not public');
-            }
-            throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-        }
+    renderConfigCheck(groups) {
+        const icons = { ok: 'fa-check-circle', info: 'fa-info-circle', warning: 'fa-exclamation-triangle', error: 'fa-times-circle' };
+        const all = groups.flatMap(group => group.checks);
+        const errors = all.filter(item => item.level === 'error').length;
+        const warnings = all.filter(item => item.level === 'warning').length;
         
-        return response.json();
+        document.getElementById('config-summary').textContent = errors
+            ? `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'} - scheduled runs will fail until the errors are fixed`
+            : `No errors${warnings ? `, ${warnings} warning${warnings === 1 ? '' : 's'}` : ''} - values of secrets are still only checked on the runner`;
+        document.getElementById('config-results').innerHTML = groups.map(group => `
+            <div class="config-group">
+                <h4>${this.escapeHTML(group.title)}</h4>
+                ${group.checks.length ? group.checks.map(item => `
+                    <div class="config-check ${item.level}">
+                        <i class="fas ${icons[item.level]}"></i>
+                        <div>
+                            <div><code>${this.escapeHTML(item.name)}</code> ${this.escapeHTML(item.message)}</div>
+                            ${item.explain ? `<small>${this.escapeHTML(item.explain)}</small>` : ''}
+                        </div>
+                    </div>
+                `).join('') : '<div class="loading">Nothing configured</div>'}
+            </div>
+        `).join('');
     }
 
-    getRunStatus(run) {
-        switch (run.status) {
-            case 'completed':
-                if (run.conclusion === 'success') {
-                    return { class: 'success', text: 'Success' };
-                } else {
-                    return { class: 'error', text: 'Failed' };
-                }
-            case 'in_progress':
-                return { class: 'running', text: 'Running' };
-            default:
-                return { class: 'error', text: run.status };
+    async openProfileBrowser() {
+        if (!this.config.owner || !this.config.repo) {
+            this.showError('Configure a repository first');
+            return;
         }
+        
+        document.getElementById('profile-select').innerHTML = '';
+        document.getElementById('profile-summary').textContent = '';
+        document.getElementById('profile-diff').innerHTML = '<div class="loading">Loading profiles and templates...</div>';
+        document.getElementById('profile-apply').disabled = true;
+        this.openModal('profiles-modal');
+        
+        await Promise.all([
+            this.loadProfileSources(),
+            // Only for the free_tier_limits of config/defaults.yml - the built-in allowance is used otherwise
+            this.loadFreeTierSources().catch(error => console.warn('Free tier limits unavailable:', error))
+        ]);
+        this.renderProfileSelect();
+        this.renderProfileDiff();
     }
 
-    calculateDuration(start, end) {
-        const startTime = new Date(start);
-        const endTime = new Date(end);
-        return Math.round((endTime - startTime) / 1000);
+    // Instance, pattern and breaker state all live in Actions variables. The list returns 10 per page by
+    // default, sorted by name, so SUCCESS_PATTERN_DATA and INSTANCE_CREATED fall off without paging.
+    // Panels refreshing together share one listing per repository
+    listRepoVariables({ owner = this.config.owner, repo = this.config.repo, request = endpoint => this.githubAPI(endpoint) } = {}) {
+        const key = `${owner}/${repo}`;
+        if (!this.api.variableListings.has(key)) {
+            this.api.variableListings.set(key, this.fetchRepoVariables(`/repos/${owner}/${repo}/actions/variables?per_page=30`, request)
+                .finally(() => this.api.variableListings.delete(key)));
+        }
+        return this.api.variableListings.get(key);
     }
 
-    formatTime(date) {
-        return date.toLocaleTimeString([], { 
-            hour: '2-digit', 
-            minute: '2-digit',
-            hour12: false
-        });
+    async fetchRepoVariables(endpoint, request) {
+        // 30 is the largest page the variables API serves
+        const first = await request(endpoint);
+        const variables = [...(first.variables || [])];
+        const pages = Math.ceil((first.total_count || 0) / 30);
+        for (let page = 2; page <= pages; page++) {
+            const result = await request(`${endpoint}&page=${page}`);
+            variables.push(...(result.variables || []));
+        }
+        return variables;
     }
 
-    openModal(modalId) {
-        document.getElementById(modalId).style.display = 'block';
+    async loadProfileSources() {
+        const base = `/repos/${this.config.owner}/${this.config.repo}`;
+        const [profiles, templates, workflow, variables] = await Promise.allSettled([
+            this.fetchRepoFile('config/instance-profiles.yml').then(text => this.parseYAML(text)),
+            this.githubReadAPI(`${base}/contents/config/templates`).then(files => Promise.all(files
+                .filter(file => file.type === 'file' && /\.ya?ml$/.test(file.name))
+                .map(async file => ({ name: file.name, text: await this.fetchRepoFile(file.path) })))),
+            this.fetchRepoFile(`.github/workflows/${this.workflowFile}`),
+            // Listing variables needs a token; without one the diff is against the workflow defaults
+            this.config.token || this.snapshot
+                ? this.listRepoVariables()
+                : Promise.resolve(null)
+        ]);
+        const entries = [];
+        const errors = [];
+        
+        if (profiles.status === 'fulfilled') {
+            Object.entries(profiles.value?.profiles || {}).forEach(([name, profile]) => {
+                const values = {};
+                Object.entries(this.profileKeys).forEach(([key, variable]) => {
+                    if (profile?.[key] !== undefined && profile[key] !== null) {
+                        values[variable] = String(profile[key]);
+                    }
+                });
+                entries.push({ id: `profile:${name}`, kind: 'profile', name, description: profile?.description || '', values });
+            });
+        } else {
+            errors.push(`config/instance-profiles.yml: ${profiles.reason.message}`);
+        }
+        
+        if (templates.status === 'fulfilled') {
+            templates.value.forEach(({ name, text }) => {
+                // Templates are flat VARIABLE: "value" files whose first comment names them
+                const values = {};
+                Object.entries(this.parseYAML(text) || {}).forEach(([key, value]) => {
+                    if (value !== null && typeof value !== 'object') {
+                        values[key] = String(value);
+                    }
+                });
+                const title = text.match(/^#\s*(.+)$/m);
+                entries.push({ id: `template:${name}`, kind: 'template', name, description: title ? title[1] : '', values });
+            });
+        } else {
+            errors.push(`config/templates: ${templates.reason.message}`);
+        }
+        
+        const previous = this.profileBrowser.selected;
+        const fallback = profiles.status === 'fulfilled' ? `profile:${profiles.value?.default_profile}` : null;
+        this.profileBrowser = {
+            ...this.profileBrowser,
+            entries,
+            errors,
+            workflow: workflow.status === 'fulfilled' ? workflow.value : null,
+            variables: variables.status === 'fulfilled' ? variables.value : null,
+            variablesError: variables.status === 'rejected' ? variables.reason.message : null,
+            selected: [previous, fallback].find(id => entries.some(entry => entry.id === id)) || entries[0]?.id || null
+        };
     }
 
-    closeModal() {
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.style.display = 'none';
+    buildProfileDiff(entry) {
+        const workflow = this.profileBrowser.workflow || '';
+        const variables = this.profileBrowser.variables || [];
+        const read = new Set([...workflow.matchAll(/\bvars\.([A-Za-z0-9_]+)/g)].map(match => match[1]));
+        const secrets = new Set([...workflow.matchAll(/\bsecrets\.([A-Za-z0-9_]+)/g)].map(match => match[1]));
+        // launch-parallel.sh hardcodes these for each shape it launches
+        const perShape = ['OCI_SHAPE', 'OCI_OCPUS', 'OCI_MEMORY_IN_GBS', 'INSTANCE_DISPLAY_NAME'];
+        let defaults = {};
+        try {
+            defaults = workflow ? this.resolveWorkflowEnv(this.findInstanceEnv(workflow), []) : {};
+        } catch (error) {
+            console.warn('Could not parse the workflow env:', error);
+        }
+        
+        return Object.entries(entry.values).map(([name, proposed]) => {
+            const variable = variables.find(candidate => candidate.name === name);
+            const row = {
+                name,
+                proposed,
+                current: variable ? variable.value : (defaults[name] !== undefined ? String(defaults[name]) : null),
+                source: variable ? 'variable' : (defaults[name] !== undefined ? 'default' : null)
+            };
+            
+            if (secrets.has(name) || this.secretDescriptions[name]) {
+                return { ...row, current: null, source: 'secret', status: 'secret',
+                    note: name === 'OCI_REGION'
+                        ? 'Read from the OCI_REGION secret - update it by hand so it matches the AD list'
+                        : `Read from the ${name} secret - update it by hand` };
+            }
+            if (!read.has(name)) {
+                return { ...row, status: 'unused',
+                    note: perShape.includes(name)
+                        ? 'launch-parallel.sh sets this per shape, so a variable would have no effect'
+                        : 'The workflow does not read this variable' };
+            }
+            if (row.current === proposed) {
+                return { ...row, status: 'same', note: variable ? '' : 'Matches the workflow default' };
+            }
+            return { ...row, status: variable ? 'change' : 'add', note: '' };
         });
     }
 
-    saveSettings() {
-        this.config.token = document.getElementById('github-token').value;
-        this.config.owner = document.getElementById('repo-owner').value;
-        this.config.repo = document.getElementById('repo-name').value;
-        this.config.autoRefresh = document.getElementById('auto-refresh').checked;
-        
-        this.saveConfig();
-        this.updateConnectionStatus();
-        this.closeModal();
-        
-        // Refresh data with new settings
-        this.refreshData();
+    renderProfileSelect() {
+        const { entries } = this.profileBrowser;
+        const group = (kind, label) => {
+            const options = entries.filter(entry => entry.kind === kind).map(entry => `
+                <option value="${this.escapeHTML(entry.id)}" ${entry.id === this.profileBrowser.selected ? 'selected' : ''}>${this.escapeHTML(entry.name)}</option>
+            `).join('');
+            return options ? `<optgroup label="${label}">${options}</optgroup>` : '';
+        };
+        document.getElementById('profile-select').innerHTML = group('profile', 'Profiles') + group('template', 'Templates');
     }
 
-    updateConnectionStatus() {
-        const statusEl = document.getElementById('connection-status');
+    renderProfileDiff() {
+        const browser = this.profileBrowser;
+        const container = document.getElementById('profile-diff');
+        const apply = document.getElementById('profile-apply');
+        const entry = browser.entries.find(candidate => candidate.id === browser.selected);
+        const problems = (browser.errors || []).map(error => `<div class="config-check warning"><i class="fas fa-exclamation-triangle"></i><div>${this.escapeHTML(error)}</div></div>`).join('');
         
-        if (this.config.token && this.config.owner && this.config.repo) {
-            statusEl.innerHTML = '<i class="fas fa-circle" style="color: #10b981;"></i><span>Connected</span>';
-        } else {
-            statusEl.innerHTML = '<i class="fas fa-circle" style="color: #ef4444;"></i><span>Not Configured</span>';
+        if (!entry) {
+            document.getElementById('profile-summary').textContent = '';
+            container.innerHTML = problems || '<div class="loading">No profiles or templates found</div>';
+            apply.disabled = true;
+            return;
         }
+        
+        const rows = this.buildProfileDiff(entry);
+        const pending = rows.filter(row => row.status === 'change' || row.status === 'add');
+        const against = browser.variables
+            ? 'repository variables'
+            : `workflow defaults (${browser.variablesError ? `variables unavailable: ${browser.variablesError}` : 'add a token to compare repository variables'})`;
+        document.getElementById('profile-summary').textContent = pending.length
+            ? `${pending.length} variable${pending.length === 1 ? '' : 's'} would change - compared against ${against}`
+            : `Nothing to apply - compared against ${against}`;
+        
+        const current = (row) => {
+            if (row.source === 'secret') {
+                return '<em>secret</em>';
+            }
+            if (row.current === null) {
+                return '<em>not set</em>';
+            }
+            return `${this.escapeHTML(row.current)}${row.source === 'default' ? ' <small>(default)</small>' : ''}`;
+        };
+        container.innerHTML = `
+            ${entry.description ? `<p class="profile-description">${this.escapeHTML(entry.description)}</p>` : ''}
+            ${problems}
+            <table class="profile-diff">
+                <thead>
+                    <tr><th>Setting</th><th>Current</th><th>${entry.kind === 'profile' ? 'Profile' : 'Template'}</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${row.status}">
+                            <td><code>${this.escapeHTML(row.name)}</code></td>
+                            <td>${current(row)}</td>
+                            <td>${this.escapeHTML(row.proposed)}${row.note ? `<small>${this.escapeHTML(row.note)}</small>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${entry.values.OCI_SHAPE ? `
+                <h4 class="profile-budget-title">Free tier budget</h4>
+                ${this.renderFreeTierBudget(this.buildFreeTierBudget([this.profileLaunch(entry)], this.freeTier.sources?.limits || this.freeTier.limits))}
+            ` : ''}
+        `;
+        
+        apply.disabled = !pending.length || !this.config.token || Boolean(this.snapshot) || browser.applying;
+        apply.title = !this.config.token || this.snapshot
+            ? 'Applying needs a token with Variables write access'
+            : '';
     }
 
-    updateConfigUI() {
-        if (this.config.token) {
-            document.getElementById('github-token').value = this.config.token;
-        }
-        if (this.config.owner) {
-            document.getElementById('repo-owner').value = this.config.owner;
-        }
-        if (this.config.repo) {
-            document.getElementById('repo-name').value = this.config.repo;
+    profileLaunch(entry) {
+        // A profile describes one instance; without its own boot volume size the current one applies
+        const values = entry.values;
+        let bootVolumeGb = Number(values.BOOT_VOLUME_SIZE);
+        if (!bootVolumeGb) {
+            try {
+                const env = this.resolveWorkflowEnv(this.findInstanceEnv(this.profileBrowser.workflow || ''), this.profileBrowser.variables);
+                bootVolumeGb = Number(env.BOOT_VOLUME_SIZE) || this.freeTier.limits.minBootVolumeGb;
+            } catch (error) {
+                bootVolumeGb = this.freeTier.limits.minBootVolumeGb;
+            }
         }
-        document.getElementById('auto-refresh').checked = this.config.autoRefresh;
+        return {
+            name: entry.name,
+            shape: values.OCI_SHAPE,
+            ocpus: values.OCI_OCPUS ? Number(values.OCI_OCPUS) : null,
+            memoryGb: values.OCI_MEMORY_IN_GBS ? Number(values.OCI_MEMORY_IN_GBS) : null,
+            bootVolumeGb
+        };
     }
 
-    startAutoRefresh() {
-        if (this.refreshTimer) {
-            clearInterval(this.refreshTimer);
+    async applyProfile() {
+        const browser = this.profileBrowser;
+        const entry = browser.entries.find(candidate => candidate.id === browser.selected);
+        if (!entry || !this.config.token || this.snapshot || browser.applying) {
+            return;
         }
         
-        this.refreshTimer = setInterval(() => {
-            this.refreshData();
-        }, this.refreshInterval);
+        const pending = this.buildProfileDiff(entry).filter(row => row.status === 'change' || row.status === 'add');
+        const diff = pending.map(row => `${row.name}: ${row.current === null ? '(not set)' : row.current}${row.source === 'default' ? ' (default)' : ''} → ${row.proposed}`).join('\n');
+        if (!pending.length || !confirm(`Apply ${entry.name} as repository variables?\n\n${diff}`)) {
+            return;
+        }
+        
+        const base = `/repos/${this.config.owner}/${this.config.repo}/actions/variables`;
+        const failed = [];
+        browser.applying = true;
+        document.getElementById('profile-apply').disabled = true;
+        try {
+            for (const row of pending) {
+                try {
+                    // Existing variables are updated in place, new ones are created
+                    await this.githubAPI(row.status === 'change' ? `${base}/${row.name}` : base, {
+                        method: row.status === 'change' ? 'PATCH' : 'POST',
+                        body: JSON.stringify({ name: row.name, value: row.proposed })
+                    });
+                } catch (error) {
+                    // Carry on so the report lists every variable that did not apply
+                    failed.push(`${row.name} (${error.message})`);
+                }
+            }
+            const applied = pending.length - failed.length;
+            if (failed.length) {
+                this.showError(`Applied ${applied} of ${pending.length} variables for ${entry.name} - failed: ${failed.join(', ')}`);
+            } else {
+                this.showSuccess(`Applied ${entry.name}: ${applied} variable${applied === 1 ? '' : 's'} updated`);
+            }
+        } finally {
+            try {
+                // A listing started before the writes would hand back the old values
+                this.api.variableListings.delete(`${this.config.owner}/${this.config.repo}`);
+                browser.variables = await this.listRepoVariables();
+            } catch (error) {
+                console.warn('Could not reload variables:', error);
+            }
+            browser.applying = false;
+            this.renderProfileDiff();
+        }
     }
 
-    async triggerWorkflow() {
+    async updateFreeTierBudget() {
+        const container = document.getElementById('free-tier-budget');
         try {
-            await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/workflows/free-tier-creation.yml/dispatches`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    ref: 'main'
-                })
-            });
+            const sources = await this.loadFreeTierSources();
+            let variables = null;
+            if (this.config.token || this.snapshot) {
+                try {
+                    variables = await this.listRepoVariables();
+                } catch (error) {
+                    // Without variables the workflow default for BOOT_VOLUME_SIZE applies
+                    console.warn('Variables unavailable for the free tier budget:', error);
+                }
+            }
             
-            this.showSuccess('Workflow triggered successfully');
-            setTimeout(() => this.refreshData(), 5000);
+            const env = this.resolveWorkflowEnv(this.findInstanceEnv(sources.workflow), variables);
+            const bootVolumeGb = Number(env.BOOT_VOLUME_SIZE || sources.limits.minBootVolumeGb);
+            // Every shape launch-parallel.sh races can succeed, so the budget counts all of them
+            const launches = sources.launches.map(launch => ({ ...launch, bootVolumeGb }));
+            container.innerHTML = this.renderFreeTierBudget(this.buildFreeTierBudget(launches, sources.limits));
         } catch (error) {
-            this.showError('Failed to trigger workflow: ' + error.message);
+            container.innerHTML = '<div class="loading">Error loading free tier budget</div>';
         }
     }
 
-    async resetSuccessState() {
-        try {
-            await this.githubAPI(`/repos/${this.config.owner}/${this.config.repo}/actions/workflows/free-tier-creation.yml/dispatches`, {
-                method: 'POST',
-                body: JSON.stringify({
-                    ref: 'main',
-                    inputs: {
-                        reset_success_state: 'true'
-                    }
-                })
-            });
+    async loadFreeTierSources() {
+        if (!this.freeTier.sources) {
+            const [defaults, script, workflow] = await Promise.allSettled([
+                this.fetchRepoFile('config/defaults.yml').then(text => this.parseYAML(text)),
+                this.fetchRepoFile('scripts/launch-parallel.sh'),
+                this.fetchRepoFile(`.github/workflows/${this.workflowFile}`)
+            ]);
+            if (script.status === 'rejected' || workflow.status === 'rejected') {
+                throw (script.reason || workflow.reason);
+            }
             
-            this.showSuccess('Success state reset workflow triggered');
-            setTimeout(() => this.refreshData(), 5000);
-        } catch (error) {
-            this.showError('Failed to reset success state: ' + error.message);
+            // free_tier_limits in config/defaults.yml wins over the built-in allowance
+            const configured = defaults.status === 'fulfilled' ? defaults.value?.validation?.free_tier_limits || {} : {};
+            const limits = { ...this.freeTier.limits };
+            Object.entries({
+                a1Instances: 'arm_instances', a1Ocpus: 'max_ocpus_arm', a1MemoryGb: 'max_memory_gb_arm',
+                microInstances: 'amd_instances', blockStorageGb: 'max_block_storage_gb'
+            }).forEach(([key, name]) => {
+                if (Number(configured[name]) > 0) {
+                    limits[key] = Number(configured[name]);
+                }
+            });
+            this.freeTier.sources = { limits, launches: this.parseLaunchConfigs(script.value), workflow: workflow.value };
         }
+        return this.freeTier.sources;
+    }
+
+    parseLaunchConfigs(script) {
+        // launch-parallel.sh declares one associative array per shape it launches
+        return [...script.matchAll(/declare -A (\w+)=\(([^)]*)\)/g)].map(([, array, body]) => {
+            const config = Object.fromEntries([...body.matchAll(/\["(\w+)"\]="([^"]*)"/g)].map(match => [match[1], match[2]]));
+            return {
+                name: config.DISPLAY_NAME || array,
+                shape: config.SHAPE,
+                ocpus: config.OCPUS ? Number(config.OCPUS) : null,
+                memoryGb: config.MEMORY_IN_GBS ? Number(config.MEMORY_IN_GBS) : null
+            };
+        }).filter(launch => launch.shape);
     }
 
-    exportData() {
-        const data = {
-            timestamp: new Date().toISOString(),
-            config: { ...this.config, token: '[REDACTED]' },
-            lastUpdate: this.lastUpdate
+    buildFreeTierBudget(launches, limits) {
+        const a1 = launches.filter(launch => launch.shape === 'VM.Standard.A1.Flex');
+        const micro = launches.filter(launch => launch.shape === 'VM.Standard.E2.1.Micro');
+        const billedShapes = launches.filter(launch => !a1.includes(launch) && !micro.includes(launch));
+        // OCI launches A1.Flex with 1 OCPU / 6 GB when no shape config is given
+        const sum = (list, key) => list.reduce((total, launch) => total + (launch[key] || 0), 0);
+        const a1Ocpus = a1.reduce((total, launch) => total + (launch.ocpus || 1), 0);
+        const a1MemoryGb = a1.reduce((total, launch) => total + (launch.memoryGb || 6), 0);
+        const storageGb = sum(launches, 'bootVolumeGb');
+        
+        const resources = [
+            { label: 'A1 OCPUs', used: a1Ocpus, limit: limits.a1Ocpus, unit: 'OCPU' },
+            { label: 'A1 memory', used: a1MemoryGb, limit: limits.a1MemoryGb, unit: 'GB' },
+            { label: 'E2.1.Micro instances', used: micro.length, limit: limits.microInstances, unit: '' },
+            { label: 'Block storage', used: storageGb, limit: limits.blockStorageGb, unit: 'GB' }
+        ];
+        const warnings = resources.filter(resource => resource.used > resource.limit).map(resource =>
+            `${resource.label}: ${resource.used - resource.limit}${resource.unit ? ` ${resource.unit}` : ''} over the Always Free allowance would be billed`);
+        if (a1.length > limits.a1Instances) {
+            warnings.push(`${a1.length} A1.Flex instances - the allowance covers at most ${limits.a1Instances}`);
+        }
+        billedShapes.forEach(launch => warnings.push(`${launch.shape} (${launch.name}) is not an Always Free shape and would be billed`));
+        launches.filter(launch => launch.bootVolumeGb < limits.minBootVolumeGb).forEach(launch =>
+            warnings.push(`${launch.name}: Oracle rejects boot volumes under ${limits.minBootVolumeGb} GB`));
+        
+        // What is left once every configured launch succeeded
+        const left = {
+            ocpus: Math.max(0, limits.a1Ocpus - a1Ocpus),
+            memoryGb: Math.max(0, limits.a1MemoryGb - a1MemoryGb),
+            micro: Math.max(0, limits.microInstances - micro.length),
+            storageGb: Math.max(0, limits.blockStorageGb - storageGb)
         };
+        const fits = [];
+        const bootSlots = Math.floor(left.storageGb / limits.minBootVolumeGb);
+        if (left.ocpus >= 1 && left.memoryGb >= 1 && a1.length < limits.a1Instances && bootSlots) {
+            fits.push(`Another A1.Flex with up to ${left.ocpus} OCPU / ${left.memoryGb} GB`);
+        }
+        if (left.micro && bootSlots) {
+            const count = Math.min(left.micro, bootSlots);
+            fits.push(`${count} more E2.1.Micro instance${count === 1 ? '' : 's'}`);
+        }
+        if (left.storageGb) {
+            fits.push(`${left.storageGb} GB of block storage for larger boot volumes or extra block volumes`);
+        }
         
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `oracle-instance-dashboard-${Date.now()}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        // Alternative ways to split the A1 allowance, each instance on its own minimum boot volume
+        const microStorageGb = sum(micro, 'bootVolumeGb');
+        const splits = [];
+        for (let count = 2; count <= limits.a1Instances; count++) {
+            if (limits.a1Ocpus % count === 0 && limits.a1MemoryGb % count === 0) {
+                const storage = count * limits.minBootVolumeGb + microStorageGb;
+                splits.push({
+                    text: `${count} × A1.Flex at ${limits.a1Ocpus / count} OCPU / ${limits.a1MemoryGb / count} GB each`,
+                    storage,
+                    fits: storage <= limits.blockStorageGb
+                });
+            }
+        }
         
-        this.showSuccess('Dashboard data exported');
+        return { launches, resources, warnings, fits, splits };
     }
 
-    viewLogs() {
-        const url = `https://github.com/${this.config.owner}/${this.config.repo}/actions`;
-        window.open(url, '_blank');
+    renderFreeTierBudget(budget) {
+        const launch = (item) => {
+            const size = item.ocpus || item.memoryGb ? ` ${item.ocpus || 1} OCPU / ${item.memoryGb || 6} GB` : '';
+            return `${item.name}: ${item.shape}${size}, ${item.bootVolumeGb} GB boot volume`;
+        };
+        return `
+            <div class="budget-resources">
+                ${budget.resources.map(resource => {
+                    const share = resource.limit ? Math.min(100, Math.round(resource.used / resource.limit * 100)) : 100;
+                    return `
+                        <div class="budget-resource">
+                            <div class="budget-resource-header">
+                                <span>${resource.label}</span>
+                                <strong>${resource.used} / ${resource.limit}${resource.unit ? ` ${resource.unit}` : ''}</strong>
+                            </div>
+                            <div class="step-bar"><div class="step-bar-fill ${resource.used > resource.limit ? 'error' : ''}" style="width: ${share}%;"></div></div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            ${budget.warnings.map(warning => `<div class="config-check warning"><i class="fas fa-exclamation-triangle"></i><div>${this.escapeHTML(warning)}</div></div>`).join('')
+                || '<div class="config-check ok"><i class="fas fa-check-circle"></i><div>Within the Always Free allowance</div></div>'}
+            <div class="budget-notes">
+                <div><span>Counted launches</span>${budget.launches.map(item => `<small>${this.escapeHTML(launch(item))}</small>`).join('')}</div>
+                <div><span>Still fits</span>${budget.fits.length
+                    ? budget.fits.map(fit => `<small>${this.escapeHTML(fit)}</small>`).join('')
+                    : '<small>Nothing - the allowance is fully used</small>'}</div>
+                ${budget.splits.length ? `<div><span>Other A1 splits</span>${budget.splits.map(split =>
+                    `<small>${this.escapeHTML(split.text)} - ${split.storage} GB of boot volumes${split.fits ? '' : ', over the block storage allowance'}</small>`).join('')}</div>` : ''}
+            </div>
+        `;
     }
 
     showSuccess(message) {
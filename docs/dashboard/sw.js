@@ -0,0 +1,67 @@
+// Oracle Instance Creator Dashboard service worker
+// Precaches the dashboard shell and vendored libraries and serves them stale-while-revalidate,
+// so the installed app opens instantly and works offline. GitHub API requests are not touched:
+// the page revalidates them itself and keeps its offline copy in IndexedDB
+const SHELL_CACHE = 'oic-shell-v2';
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/dashboard.css',
+    'js/dashboard.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-180.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'lib/chart.js/chart.umd.js',
+    'lib/date-fns/cdn.min.js',
+    'lib/js-yaml/js-yaml.min.js',
+    'lib/fontawesome/css/all.min.css',
+    'lib/fontawesome/webfonts/fa-brands-400.woff2',
+    'lib/fontawesome/webfonts/fa-regular-400.woff2',
+    'lib/fontawesome/webfonts/fa-solid-900.woff2',
+    'lib/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(SHELL_FILES))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left by older versions of this worker, including their copies of API responses
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+    
+    if (new URL(request.url).origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, { ignoreSearch: true }));
+    }
+});
+
+async function staleWhileRevalidate(event, cacheName, matchOptions = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, matchOptions);
+    const network = fetch(event.request).then(response => {
+        if (response.status === 200) {
+            cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+    
+    if (cached) {
+        event.waitUntil(network.catch(error => console.warn('Background revalidation failed:', error)));
+        return cached;
+    }
+    return network;
+}
@@ -65,6 +65,21 @@ interruptible_sleep() {
     fi
 }
 
+# Run an OCI CLI call and record its response time (API_RESPONSE_TIME metric)
+timed_oci_cmd() {
+    local operation="$1"
+    shift
+    local start_ms output
+    local status=0
+    
+    start_ms=$(date +%s%3N)
+    output=$(oci_cmd "$@") || status=$?
+    record_api_response_time "$operation" "$(($(date +%s%3N) - start_ms))" "$([[ $status -eq 0 ]] && echo success || echo error)"
+    
+    printf '%s\n' "$output"
+    return $status
+}
+
 # Ensure proxy configuration is applied if needed (fallback)
 # Note: Proxy should already be configured by setup-oci.sh, but this ensures it's available
 parse_and_configure_proxy false
@@ -118,7 +133,7 @@ lookup_image_id() {
         if [[ -z "$image_id" ]]; then
             log_info "Looking up latest image for OS $operating_system $os_version..."
             
-            image_id=$(oci_cmd compute image list \
+            image_id=$(timed_oci_cmd "image_list" compute image list \
                 --compartment-id "$comp_id" \
                 --shape "$OCI_SHAPE" \
                 --operating-system "$operating_system" \
@@ -149,7 +164,7 @@ check_existing_instance() {
     
     log_info "Checking for existing instance: $INSTANCE_DISPLAY_NAME"
     
-    existing_id=$(oci_cmd compute instance list \
+    existing_id=$(timed_oci_cmd "instance_list" compute instance list \
         --compartment-id "$comp_id" \
         --display-name "$INSTANCE_DISPLAY_NAME" \
         --limit 1 \
@@ -331,7 +346,7 @@ launch_instance() {
         
         set +e
         # Use oci_cmd to get debug output when enabled
-        output=$(oci_cmd "${launch_args[@]}")
+        output=$(timed_oci_cmd "instance_launch" "${launch_args[@]}")
         status=$?
         set -e
         
@@ -465,7 +480,7 @@ launch_instance() {
                     
                     # Retry the same launch command
                     set +e
-                    output=$(oci_cmd "${launch_args[@]}")
+                    output=$(timed_oci_cmd "instance_launch" "${launch_args[@]}")
                     status=$?
                     set -e
                     
@@ -660,23 +675,23 @@ handle_launch_error_with_ad() {
             return 0
             ;;
         "ORACLE_CAPACITY_UNAVAILABLE")
-            log_info "Oracle capacity unavailable for shape in AD $current_ad (attempt $attempt/$max_attempts)"
+            log_info "Oracle capacity unavailable for shape ${OCI_SHAPE:-unknown} in AD $current_ad (attempt $attempt/$max_attempts)"
             log_info "This is a transient Oracle Cloud capacity constraint"
             echo "ORACLE_CAPACITY_UNAVAILABLE"
             return 0
             ;;
         "CAPACITY")
-            log_info "No capacity available for shape in AD $current_ad (attempt $attempt/$max_attempts)"
+            log_info "No capacity available for shape ${OCI_SHAPE:-unknown} in AD $current_ad (attempt $attempt/$max_attempts)"
             echo "CAPACITY"
             return 0
             ;;
         "RATE_LIMIT")
-            log_info "Rate limit detected in AD $current_ad (attempt $attempt/$max_attempts)"
+            log_info "Rate limit detected for shape ${OCI_SHAPE:-unknown} in AD $current_ad (attempt $attempt/$max_attempts)"
             echo "RATE_LIMIT"
             return 0
             ;;
         "LIMIT_EXCEEDED")
-            log_info "LimitExceeded error in AD $current_ad (attempt $attempt/$max_attempts)"
+            log_info "LimitExceeded error for shape ${OCI_SHAPE:-unknown} in AD $current_ad (attempt $attempt/$max_attempts)"
             echo "LIMIT_EXCEEDED"
             return 0
             ;;
@@ -687,13 +702,13 @@ handle_launch_error_with_ad() {
             return 0
             ;;
         "AUTH")
-            log_error "Authentication/authorization error in AD $current_ad"
+            log_error "Authentication/authorization error for shape ${OCI_SHAPE:-unknown} in AD $current_ad"
             send_telegram_notification "critical" "OCI authentication error: Check credentials and permissions"
             echo "AUTH"
             return 0
             ;;
         "CONFIG")
-            log_error "Configuration error detected in AD $current_ad"
+            log_error "Configuration error detected for shape ${OCI_SHAPE:-unknown} in AD $current_ad"
             local error_line
             error_line=$(echo "$error_output" | head -1)
             send_telegram_notification "critical" "OCI configuration error: ${error_line}"
@@ -701,17 +716,17 @@ handle_launch_error_with_ad() {
             return 0
             ;;
         "INTERNAL_ERROR")
-            log_warning "Internal/gateway error detected in AD $current_ad - will retry"
+            log_warning "Internal/gateway error detected for shape ${OCI_SHAPE:-unknown} in AD $current_ad - will retry"
             echo "INTERNAL_ERROR"
             return 0
             ;;
         "NETWORK")
-            log_warning "Network error detected in AD $current_ad - will retry"
+            log_warning "Network error detected for shape ${OCI_SHAPE:-unknown} in AD $current_ad - will retry"
             echo "NETWORK"
             return 0
             ;;
         *)
-            log_error "Unexpected error during instance launch in AD $current_ad"
+            log_error "Unexpected error during instance launch for shape ${OCI_SHAPE:-unknown} in AD $current_ad"
             local error_line
             error_line=$(echo "$error_output" | head -1)
             send_telegram_notification "error" "OCI instance launch failed in $current_ad: ${error_line}"
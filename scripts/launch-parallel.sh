@@ -16,6 +16,8 @@ source "$(dirname "$0")/utils.sh"
 # shellcheck source=scripts/notify.sh
 source "$(dirname "$0")/notify.sh"
 source "$(dirname "$0")/state-manager.sh"
+# shellcheck source=scripts/metrics.sh
+source "$(dirname "$0")/metrics.sh"
 
 # Global variables for signal handling
 PID_A1=""
@@ -186,6 +188,8 @@ launch_shape() {
 
     # Log shape performance metrics
     log_performance_metric "SHAPE_DURATION" "$shape_name" "$duration" "$exit_code" "Shape=${config[SHAPE]}"
+    # Per-shape outcome for the dashboard - PERF_METRIC lines are only printed with debug logging
+    log_info "Shape result: shape=${config[SHAPE]} exit_code=$exit_code duration=${duration}s"
 
     # Store duration for analysis (write to temp file if available)
     if [[ -n "${temp_dir:-}" ]]; then
@@ -661,6 +665,9 @@ main() {
     local performance_summary="ExecutionTime=${elapsed}s,A1Duration=${a1_duration}s,E2Duration=${e2_duration}s"
     performance_summary="${performance_summary},PeakMemory=${peak_memory}MB,SuccessRate=${success_count}/2"
     log_performance_metric "CONCURRENT_END" "parallel_execution" "$success_count" "2" "$performance_summary"
+    # Recorded directly rather than via record_execution_phase: its 30s warning fires on nearly every
+    # run once retries wait RETRY_WAIT_TIME, and the dashboard applies the KPI thresholds itself
+    record_performance_metric "EXECUTION_PHASE" "$elapsed" "parallel_execution:$success_count/2 created"
 
     # Log structured performance data for analysis
     if [[ "${LOG_FORMAT:-}" == "json" ]]; then
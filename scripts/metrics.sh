@@ -157,16 +157,19 @@ record_performance_metric() {
     # Structured format for monitoring systems
     local metric_line="PERF_METRIC|${timestamp}|${metric_type}|${metric_value}|${additional_info}"
     
-    # Log to both debug and metrics file
-    log_debug "$metric_line"
     echo "$metric_line" >> "${METRICS_FILE}_perf"
     
-    # Output structured logs for monitoring systems
+    # The dashboard's performance chart reads API_RESPONSE_TIME and EXECUTION_PHASE lines from the
+    # job log, so those are printed at info level; other metrics stay at debug
     if [[ "${LOG_FORMAT:-}" == "json" ]]; then
         local json_context="{\"metric_type\":\"$metric_type\",\"value\":\"$metric_value\""
         [[ -n "$additional_info" ]] && json_context+=",\"info\":\"$additional_info\""
         json_context+="}"
         log_json "performance" "$metric_line" "$json_context"
+    elif [[ "$metric_type" == "API_RESPONSE_TIME" || "$metric_type" == "EXECUTION_PHASE" ]]; then
+        log_info "$metric_line"
+    else
+        log_debug "$metric_line"
     fi
 }
 
@@ -7,24 +7,49 @@ set -euo pipefail
 
 source "$(dirname "$0")/utils.sh"
 
-# Regional scheduling patterns based on Oracle Cloud regions
+# Regional scheduling patterns live in schedule_pattern in config/regions.yml,
+# the same data the dashboard turns into cron recommendations
+REGIONS_CONFIG="${REGIONS_CONFIG:-$(dirname "${BASH_SOURCE[0]}")/../config/regions.yml}"
+
+# Print "timezone|UTC offset|window" from one region's schedule_pattern block
+read_schedule_pattern() {
+    local region="$1"
+    [[ -f "$REGIONS_CONFIG" ]] || return 0
+    
+    awk -v region="  ${region}:" '
+        $0 == region { in_region = 1; next }
+        in_region && /^[^ #]|^  [^ #]/ { exit }
+        in_region && /^      (timezone|utc_offset|low_usage_window|weekdays_only):/ {
+            key = $1
+            sub(/:$/, "", key)
+            value = $0
+            sub(/^[^:]*: */, "", value)
+            gsub(/"/, "", value)
+            pattern[key] = value
+        }
+        END {
+            if (pattern["timezone"] != "") {
+                printf "%s|UTC%s|%s%s low usage\n", pattern["timezone"], pattern["utc_offset"],
+                    pattern["low_usage_window"], pattern["weekdays_only"] == "true" ? " weekdays" : ""
+            }
+        }' "$REGIONS_CONFIG"
+}
+
 get_regional_pattern() {
     local region="$1"
+    # Older region names accepted by earlier versions of this script
     case "$region" in
-        "ap-singapore-1") echo "SGT|UTC+8|10am-3pm weekdays low usage" ;;
-        "ap-mumbai-1") echo "IST|UTC+5:30|2pm-5pm weekdays low usage" ;;
-        "ap-sydney-1") echo "AEDT|UTC+11|7am-12pm weekdays low usage" ;;
-        "ap-tokyo-1") echo "JST|UTC+9|11am-4pm weekdays low usage" ;;
-        "us-east-1") echo "EST|UTC-5|2am-7am ET low usage" ;;
-        "us-west-1") echo "PST|UTC-8|5am-10am PT low usage" ;;
-        "us-west-2") echo "PST|UTC-8|5am-10am PT low usage" ;;
-        "eu-frankfurt-1") echo "CET|UTC+1|8am-1pm CET low usage" ;;
-        "eu-london-1") echo "GMT|UTC+0|7am-12pm GMT low usage" ;;
-        "eu-amsterdam-1") echo "CET|UTC+1|8am-1pm CET low usage" ;;
-        "ca-central-1") echo "EST|UTC-5|2am-7am ET low usage" ;;
-        "sa-saopaulo-1") echo "BRT|UTC-3|4am-9am BRT low usage" ;;
-        *) echo "SGT|UTC+8|10am-3pm weekdays low usage" ;;  # Default to Singapore
+        "us-east-1") region="us-ashburn-1" ;;
+        "ca-central-1") region="ca-toronto-1" ;;
+        "eu-london-1") region="uk-london-1" ;;
     esac
+    
+    local pattern
+    pattern=$(read_schedule_pattern "$region")
+    if [[ -z "$pattern" ]]; then
+        pattern=$(read_schedule_pattern "ap-singapore-1")  # Default to Singapore
+    fi
+    echo "${pattern:-SGT|UTC+08:00|10:00-15:00 weekdays low usage}"
 }
 
 # Get optimal schedule for current region
@@ -1152,8 +1152,9 @@ set_success_variable() {
         
         # Use GitHub CLI to set repository variable
         if command -v gh >/dev/null 2>&1; then
+            # Shape and profile come from the per-shape environment set by launch-parallel.sh
             # shellcheck disable=SC2155  # Date command embedded in JSON rarely fails
-            local success_value="{\"created\": true, \"instance_id\": \"$instance_id\", \"ad\": \"$availability_domain\", \"timestamp\": \"$(date -u '+%Y-%m-%dT%H:%M:%S.%3NZ')\"}"
+            local success_value="{\"created\": true, \"instance_id\": \"$instance_id\", \"ad\": \"$availability_domain\", \"timestamp\": \"$(date -u '+%Y-%m-%dT%H:%M:%S.%3NZ')\", \"shape\": \"${OCI_SHAPE:-}\", \"display_name\": \"${INSTANCE_DISPLAY_NAME:-}\", \"ocpus\": \"${OCI_OCPUS:-}\", \"memory_gb\": \"${OCI_MEMORY_IN_GBS:-}\"}"
             
             if gh variable set INSTANCE_CREATED --body "true" >/dev/null 2>&1; then
                 log_success "Successfully set INSTANCE_CREATED variable"
@@ -1186,8 +1187,9 @@ record_success_pattern() {
     
     # shellcheck disable=SC2155  # Date commands rarely fail
     local timestamp=$(date -u '+%Y-%m-%dT%H:%M:%S.%3NZ')
+    # Base 10 drops the leading zero - an hour like 08 is not valid JSON
     # shellcheck disable=SC2155  # Date commands rarely fail
-    local hour_utc=$(date -u '+%H')
+    local hour_utc=$((10#$(date -u '+%H')))
     # shellcheck disable=SC2155  # Date commands rarely fail
     local day_of_week=$(date -u '+%u')
     
@@ -1197,9 +1199,9 @@ record_success_pattern() {
         existing_data=$(gh variable get SUCCESS_PATTERN_DATA 2>/dev/null || echo "[]")
         
         # Create success entry
-        local success_entry="{\"type\":\"success\",\"timestamp\":\"$timestamp\",\"hour_utc\":$hour_utc,\"day_of_week\":$day_of_week,\"ad\":\"$availability_domain\",\"attempt\":$attempt_number,\"total_attempts\":$total_attempts}"
+        local success_entry="{\"type\":\"success\",\"timestamp\":\"$timestamp\",\"hour_utc\":$hour_utc,\"day_of_week\":$day_of_week,\"ad\":\"$availability_domain\",\"shape\":\"${OCI_SHAPE:-}\",\"attempt\":$attempt_number,\"total_attempts\":$total_attempts}"
         
-        # Update pattern data (keep last 100 entries)
+        # Update pattern data (keep last 50 entries)
         local updated_data
         if [[ -z "$existing_data" || "$existing_data" == "[]" ]]; then
             updated_data="[$success_entry]"
@@ -1229,7 +1231,7 @@ record_failure_pattern() {
     # shellcheck disable=SC2155  # Date commands rarely fail
     local timestamp=$(date -u '+%Y-%m-%dT%H:%M:%S.%3NZ')
     # shellcheck disable=SC2155  # Date commands rarely fail
-    local hour_utc=$(date -u '+%H')
+    local hour_utc=$((10#$(date -u '+%H')))
     # shellcheck disable=SC2155  # Date commands rarely fail
     local day_of_week=$(date -u '+%u')
     
@@ -1239,9 +1241,9 @@ record_failure_pattern() {
         existing_data=$(gh variable get SUCCESS_PATTERN_DATA 2>/dev/null || echo "[]")
         
         # Create failure entry
-        local failure_entry="{\"type\":\"${error_type}_failure\",\"timestamp\":\"$timestamp\",\"hour_utc\":$hour_utc,\"day_of_week\":$day_of_week,\"ad\":\"$availability_domain\",\"attempt\":$attempt_number,\"total_attempts\":$total_attempts}"
+        local failure_entry="{\"type\":\"${error_type}_failure\",\"timestamp\":\"$timestamp\",\"hour_utc\":$hour_utc,\"day_of_week\":$day_of_week,\"ad\":\"$availability_domain\",\"shape\":\"${OCI_SHAPE:-}\",\"attempt\":$attempt_number,\"total_attempts\":$total_attempts}"
         
-        # Update pattern data (keep last 100 entries)
+        # Update pattern data (keep last 50 entries)
         local updated_data
         if [[ -z "$existing_data" || "$existing_data" == "[]" ]]; then
             updated_data="[$failure_entry]"
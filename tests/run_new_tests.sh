@@ -36,6 +36,7 @@ run_test_suite() {
 run_test_suite "Circuit Breaker Tests" "test_circuit_breaker.sh"
 run_test_suite "Exponential Backoff Tests" "test_exponential_backoff.sh"
 run_test_suite "State Manager Tests" "test_state_manager.sh"
+run_test_suite "Dashboard Logic Tests" "test_dashboard_logic.js"
 
 # Summary
 echo "=== Test Suite Summary ==="
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+
+// Unit tests for the dashboard logic in docs/dashboard/js/dashboard.js
+// Uses Node's built-in test runner (no npm install); run by tests/run_new_tests.sh or directly:
+//   node --test tests/test_dashboard_logic.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PROJECT_ROOT = path.dirname(__dirname);
+const DASHBOARD_DIR = path.join(PROJECT_ROOT, 'docs', 'dashboard');
+
+// Just enough of a browser for the dashboard class - init() is never run, so nothing touches the page
+const storage = { getItem: () => null, setItem() {}, removeItem() {} };
+const elements = {};
+Object.assign(global, {
+    confirm: () => true,
+    localStorage: storage,
+    sessionStorage: storage,
+    window: {
+        jsyaml: require(path.join(DASHBOARD_DIR, 'lib', 'js-yaml', 'js-yaml.min.js')),
+        location: { hostname: 'localhost', pathname: '/' },
+        addEventListener() {}
+    },
+    document: {
+        addEventListener() {},
+        getElementById: id => elements[id] || (elements[id] = { id, innerHTML: '', textContent: '', value: '', disabled: false })
+    }
+});
+const source = fs.readFileSync(path.join(DASHBOARD_DIR, 'js', 'dashboard.js'), 'utf8');
+const Dashboard = vm.runInThisContext(`(() => {\n${source}\nreturn OracleInstanceDashboard;\n})()`, { filename: 'dashboard.js' });
+Dashboard.prototype.init = () => {};
+
+function createDashboard() {
+    const dashboard = new Dashboard();
+    dashboard.config.owner = 'owner';
+    dashboard.config.repo = 'repo';
+    return dashboard;
+}
+
+const readRepoFile = file => fs.readFileSync(path.join(PROJECT_ROOT, file), 'utf8');
+const sorted = values => [...values].sort((a, b) => a - b);
+
+test('parseCronExpression expands steps, ranges, lists and names', () => {
+    const dashboard = createDashboard();
+
+    const aggressive = dashboard.parseCronExpression('*/15 2-7 * * 1-5');
+    assert.deepStrictEqual(sorted(aggressive.minutes), [0, 15, 30, 45]);
+    assert.deepStrictEqual(sorted(aggressive.hours), [2, 3, 4, 5, 6, 7]);
+    assert.deepStrictEqual(sorted(aggressive.daysOfWeek), [1, 2, 3, 4, 5]);
+    assert.strictEqual(aggressive.domRestricted, false);
+    assert.strictEqual(aggressive.dowRestricted, true);
+
+    const named = dashboard.parseCronExpression('5/20 0,12 1 JAN-MAR SUN,7');
+    assert.deepStrictEqual(sorted(named.minutes), [5, 25, 45]);
+    assert.deepStrictEqual(sorted(named.hours), [0, 12]);
+    assert.deepStrictEqual(sorted(named.months), [1, 2, 3]);
+    // 7 is Sunday as well
+    assert.deepStrictEqual(sorted(named.daysOfWeek), [0]);
+});
+
+test('parseCronExpression rejects malformed expressions', () => {
+    const dashboard = createDashboard();
+
+    assert.throws(() => dashboard.parseCronExpression('* * * *'), /Expected 5 fields/);
+    assert.throws(() => dashboard.parseCronExpression('60 * * * *'), /out of range/);
+    assert.throws(() => dashboard.parseCronExpression('*/0 * * * *'), /Invalid step/);
+    assert.throws(() => dashboard.parseCronExpression('0 9-5 * * *'), /Invalid range/);
+    assert.throws(() => dashboard.parseCronExpression('0 * * * FUNDAY'), /Invalid value/);
+});
+
+test('parseWorkflowSchedules reads every tier, including commented-out ones', () => {
+    const dashboard = createDashboard();
+    const schedule = dashboard.parseWorkflowSchedules(readRepoFile('.github/workflows/infrastructure-deployment.yml'));
+
+    assert.deepStrictEqual(schedule.entries.map(entry => `${entry.tier} ${entry.cron}`), [
+        'TIER 1 */10 2-7 * * 1-5',
+        'TIER 2 */10 20-23 * * 1-5',
+        'TIER 3 */15 8-19 * * 1-5',
+        'TIER 4 */10 * * * 6,0'
+    ]);
+    assert.strictEqual(schedule.enabled, false);
+    assert.ok(schedule.entries.every(entry => entry.parsed && !entry.enabled));
+});
+
+test('analyzeSchedule finds the next run and the tier that fires it', () => {
+    const dashboard = createDashboard();
+    const schedule = dashboard.parseWorkflowSchedules([
+        'on:',
+        '  schedule:',
+        '    # TIER 1: Weekday mornings',
+        '    - cron: "*/10 2-7 * * 1-5"',
+        '    # TIER 2: Weekends',
+        '    - cron: "0 * * * 6,0"',
+        '    # - cron: "* * * * *"',
+        '    - cron: "61 * * * *"'
+    ].join('\n'));
+
+    assert.strictEqual(schedule.enabled, true);
+    assert.strictEqual(schedule.entries[2].enabled, false);
+    assert.match(schedule.entries[3].error, /out of range/);
+
+    // Late Sunday the weekend tier has no run left, so Monday's first weekday run is next
+    const sunday = dashboard.analyzeSchedule(schedule, new Date('2026-10-18T23:55:00Z'));
+    assert.strictEqual(sunday.nextRun.toISOString(), '2026-10-19T02:00:00.000Z');
+    assert.strictEqual(sunday.nextEntry.tier, 'TIER 1');
+
+    const saturday = dashboard.analyzeSchedule(schedule, new Date('2026-10-17T10:30:00Z'));
+    assert.strictEqual(saturday.nextRun.toISOString(), '2026-10-17T11:00:00.000Z');
+    assert.strictEqual(saturday.nextEntry.tier, 'TIER 2');
+});
+
+test('parseYAML reads the repository config with the core schema', () => {
+    const dashboard = createDashboard();
+
+    const singapore = dashboard.parseYAML(readRepoFile('config/regions.yml')).regions['ap-singapore-1'];
+    assert.deepStrictEqual(singapore.availability_domains, ['fgaj:AP-SINGAPORE-1-AD-1']);
+    assert.strictEqual(singapore.schedule_pattern.utc_offset, '+08:00');
+    assert.strictEqual(singapore.schedule_pattern.low_usage_window, '10:00-15:00');
+    assert.strictEqual(singapore.schedule_pattern.weekdays_only, true);
+
+    // Workflows keep their "on" key, and dates stay strings as they do in GitHub Actions
+    const workflow = dashboard.parseYAML(readRepoFile('.github/workflows/infrastructure-deployment.yml'));
+    assert.ok(Object.prototype.hasOwnProperty.call(workflow, 'on'));
+    assert.deepStrictEqual(dashboard.parseYAML('released: 2026-01-01\nflag: yes'), { released: '2026-01-01', flag: 'yes' });
+    assert.strictEqual(dashboard.parseYAML(''), null);
+    assert.throws(() => dashboard.parseYAML('key: [unclosed'));
+});
+
+test('parsePerformanceLog reads PERF_METRIC lines from text and JSON job logs', () => {
+    const dashboard = createDashboard();
+    const esc = String.fromCharCode(27);
+    const log = [
+        `2026-10-19T02:00:01.000Z ${esc}[0;32m[INFO]${esc}[0m PERF_METRIC|2026-10-19 02:00:01|API_RESPONSE_TIME|850|image_list:success`,
+        '2026-10-19T02:00:03.000Z {"level":"performance","message":"PERF_METRIC|2026-10-19 02:00:03|API_RESPONSE_TIME|2100|instance_launch:error","context":{}}',
+        '2026-10-19T02:00:04.000Z [DEBUG] PERF_METRIC: [2026-10-19 02:00:04] CONCURRENT_END: AD=parallel_execution, Attempt=1/2, Info=ExecutionTime=41s,A1Duration=40s',
+        `2026-10-19T02:00:04.000Z ${esc}[0;32m[INFO]${esc}[0m PERF_METRIC|2026-10-19 02:00:04|EXECUTION_PHASE|42|parallel_execution:1/2 created`
+    ].join('\n');
+
+    const metrics = dashboard.parsePerformanceLog(log);
+    assert.deepStrictEqual(metrics.apiCalls, [
+        { operation: 'image_list', ms: 850, status: 'success' },
+        { operation: 'instance_launch', ms: 2100, status: 'error' }
+    ]);
+    assert.deepStrictEqual(metrics.phases, { parallel_execution: 42 });
+    assert.strictEqual(metrics.executionTime, 42);
+
+    // Older runs only have the CONCURRENT_END summary
+    assert.strictEqual(dashboard.parsePerformanceLog(log.split('\n')[2]).executionTime, 41);
+});
+
+test('parsePatternData accepts only well-formed JSON arrays', () => {
+    const dashboard = createDashboard();
+
+    assert.deepStrictEqual(dashboard.parsePatternData(undefined), []);
+    assert.deepStrictEqual(dashboard.parsePatternData('{"type":"success"}'), []);
+    assert.strictEqual(dashboard.parsePatternData('[{"type":"success","hour_utc":8}]')[0].hour_utc, 8);
+    // utils.sh writes hour_utc in base 10 - a leading zero is invalid JSON, not something to repair
+    assert.throws(() => dashboard.parsePatternData('[{"type":"success","hour_utc":08}]'), SyntaxError);
+});
+
+test('buildSuccessModel counts launches separately from verifications and scheduler records', () => {
+    const dashboard = createDashboard();
+    const model = dashboard.buildSuccessModel([
+        { type: 'success', ad: 'fgaj:AP-SINGAPORE-1-AD-1', timestamp: '2026-10-02T03:00:00.000Z' },
+        { type: 'capacity_failure', ad: 'fgaj:AP-SINGAPORE-1-AD-1', timestamp: '2026-10-01T03:00:00.000Z' },
+        { type: 'rate_limit_failure', ad: 'fgaj:AP-SINGAPORE-1-AD-1', timestamp: '2026-10-03T03:00:00.000Z' },
+        { type: 'success', ad: 'VERIFIED', timestamp: '2026-10-04T03:00:00.000Z' },
+        { type: 'attempt', timestamp: '2026-10-04T04:00:00.000Z' },
+        { type: 'mystery' }
+    ]);
+
+    assert.strictEqual(model.launches.length, 3);
+    assert.strictEqual(model.successes, 1);
+    assert.strictEqual(model.failures, 2);
+    assert.strictEqual(model.verifications, 1);
+    assert.strictEqual(model.attempts, 1);
+    assert.strictEqual(model.unknown, 1);
+    assert.strictEqual(model.rate, 33);
+    assert.strictEqual(model.since, '2026-10-01T03:00:00.000Z');
+    assert.strictEqual(model.windowFull, false);
+
+    const empty = dashboard.buildSuccessModel([]);
+    assert.strictEqual(empty.rate, null);
+    // The scripts keep the newest 50 entries
+    assert.strictEqual(dashboard.buildSuccessModel(Array(49).fill({ type: 'attempt' })).windowFull, false);
+    assert.strictEqual(dashboard.buildSuccessModel(Array(50).fill({ type: 'attempt' })).windowFull, true);
+});
+
+test('updateSuccessPatternChart shows an empty state instead of made-up rates', () => {
+    const dashboard = createDashboard();
+    let updates = 0;
+    dashboard.charts.successPattern = { data: { labels: ['stale'], datasets: [{ data: [50] }] }, update: () => updates++ };
+    const empty = document.getElementById('success-pattern-empty');
+
+    dashboard.updateSuccessPatternChart(30);
+    assert.deepStrictEqual(dashboard.charts.successPattern.data.datasets[0].data, []);
+    assert.strictEqual(empty.hidden, false);
+    assert.strictEqual(empty.textContent, 'No launch attempts recorded');
+
+    const old = dashboard.buildSuccessModel([{ type: 'success', ad: 'AD-1', timestamp: '2020-01-01T00:00:00.000Z' }]);
+    dashboard.updateSuccessPatternChart(7, old);
+    assert.strictEqual(empty.textContent, 'No launch attempts in the last 7 days');
+
+    const recent = dashboard.buildSuccessModel([{ type: 'success', ad: 'AD-1', timestamp: new Date().toISOString() }]);
+    dashboard.updateSuccessPatternChart(7, recent);
+    assert.strictEqual(empty.hidden, true);
+    assert.strictEqual(dashboard.charts.successPattern.data.datasets[0].data[6], 100);
+    assert.strictEqual(updates, 3);
+});
+
+test('buildProfileDiff compares a profile with repository variables and workflow defaults', () => {
+    const dashboard = createDashboard();
+    dashboard.profileBrowser.workflow = readRepoFile('.github/workflows/infrastructure-deployment.yml');
+    dashboard.profileBrowser.variables = [{ name: 'OCI_AD', value: 'fgaj:AP-SINGAPORE-1-AD-1' }];
+
+    const rows = dashboard.buildProfileDiff({
+        values: {
+            OCI_AD: 'TvRS:AP-SYDNEY-1-AD-1',
+            BOOT_VOLUME_SIZE: '50',
+            INSTANCE_VERIFY_MAX_CHECKS: '7',
+            OCI_REGION: 'ap-sydney-1',
+            OCI_SHAPE: 'VM.Standard.A1.Flex'
+        }
+    });
+    const byName = Object.fromEntries(rows.map(row => [row.name, row]));
+
+    assert.strictEqual(byName.OCI_AD.status, 'change');
+    assert.strictEqual(byName.OCI_AD.current, 'fgaj:AP-SINGAPORE-1-AD-1');
+    assert.strictEqual(byName.BOOT_VOLUME_SIZE.status, 'same');
+    assert.strictEqual(byName.BOOT_VOLUME_SIZE.source, 'default');
+    assert.strictEqual(byName.INSTANCE_VERIFY_MAX_CHECKS.status, 'add');
+    assert.strictEqual(byName.INSTANCE_VERIFY_MAX_CHECKS.current, '5');
+    assert.strictEqual(byName.OCI_REGION.status, 'secret');
+    assert.strictEqual(byName.OCI_SHAPE.status, 'unused');
+});
+
+test('applyProfile keeps going after a failed variable and reports it', async () => {
+    const dashboard = createDashboard();
+    const requests = [];
+    const messages = [];
+    dashboard.config.token = 'token';
+    dashboard.profileBrowser.workflow = readRepoFile('.github/workflows/infrastructure-deployment.yml');
+    dashboard.profileBrowser.variables = [{ name: 'OCI_AD', value: 'fgaj:AP-SINGAPORE-1-AD-1' }];
+    dashboard.profileBrowser.entries = [{ id: 'profile:test', name: 'test', values: { OCI_AD: 'TvRS:AP-SYDNEY-1-AD-1', INSTANCE_VERIFY_MAX_CHECKS: '7' } }];
+    dashboard.profileBrowser.selected = 'profile:test';
+    dashboard.renderProfileDiff = () => {};
+    dashboard.showSuccess = message => messages.push(message);
+    dashboard.showError = message => messages.push(message);
+    dashboard.githubAPI = async (endpoint, options = {}) => {
+        if (!options.method) {
+            return { total_count: 1, variables: [{ name: 'OCI_AD', value: 'TvRS:AP-SYDNEY-1-AD-1' }] };
+        }
+        requests.push(`${options.method} ${endpoint}`);
+        if (options.method === 'POST') {
+            throw new Error('GitHub API error: 403 Forbidden');
+        }
+        return null;
+    };
+
+    await dashboard.applyProfile();
+
+    assert.deepStrictEqual(requests, [
+        'PATCH /repos/owner/repo/actions/variables/OCI_AD',
+        'POST /repos/owner/repo/actions/variables'
+    ]);
+    assert.deepStrictEqual(messages, ['Applied 1 of 2 variables for test - failed: INSTANCE_VERIFY_MAX_CHECKS (GitHub API error: 403 Forbidden)']);
+    assert.strictEqual(dashboard.profileBrowser.applying, false);
+});
+
+test('listRepoVariables follows total_count across pages', async () => {
+    const dashboard = createDashboard();
+    const variables = Array.from({ length: 65 }, (_, index) => ({ name: `VAR_${index}`, value: String(index) }));
+    const endpoints = [];
+    dashboard.githubAPI = async endpoint => {
+        endpoints.push(endpoint);
+        const page = Number((endpoint.match(/&page=(\d+)/) || [])[1] || 1);
+        return { total_count: variables.length, variables: variables.slice((page - 1) * 30, page * 30) };
+    };
+
+    // Panels refreshing at the same time share one listing
+    const [first, second] = await Promise.all([dashboard.listRepoVariables(), dashboard.listRepoVariables()]);
+    assert.deepStrictEqual(first, variables);
+    assert.strictEqual(second, first);
+    assert.deepStrictEqual(endpoints, [
+        '/repos/owner/repo/actions/variables?per_page=30',
+        '/repos/owner/repo/actions/variables?per_page=30&page=2',
+        '/repos/owner/repo/actions/variables?per_page=30&page=3'
+    ]);
+});
+
+test('state panels find variables that are past the first page', async () => {
+    const dashboard = createDashboard();
+    // Sorted by name like the API: INSTANCE_CREATED is on page 1, SUCCESS_PATTERN_DATA on page 2
+    const variables = [
+        ...Array.from({ length: 25 }, (_, index) => ({ name: `A_VAR_${String(index).padStart(2, '0')}`, value: '' })),
+        { name: 'INSTANCE_CREATED', value: 'true' },
+        ...Array.from({ length: 10 }, (_, index) => ({ name: `OCI_VAR_${index}`, value: '' })),
+        { name: 'SUCCESS_PATTERN_DATA', value: JSON.stringify([{ type: 'success', ad: 'AD-1', timestamp: '2026-10-01T00:00:00.000Z' }]) }
+    ];
+    const serve = endpoint => {
+        if (endpoint.includes('/runs')) {
+            return { workflow_runs: [] };
+        }
+        const page = Number((endpoint.match(/&page=(\d+)/) || [])[1] || 1);
+        return { total_count: variables.length, variables: variables.slice((page - 1) * 30, page * 30) };
+    };
+    dashboard.githubRequest = async endpoint => serve(endpoint);
+
+    const summary = await dashboard.fetchRepositorySummary({ owner: 'other', repo: 'repo', token: 'token' });
+    assert.strictEqual(summary.instance, 'Active');
+    assert.strictEqual(summary.successRate, 100);
+
+    dashboard.githubAPI = async endpoint => serve(endpoint);
+    const names = (await dashboard.listRepoVariables()).map(variable => variable.name);
+    assert.ok(names.includes('SUCCESS_PATTERN_DATA'));
+});
+
+test('buildDiagnosticBundle exports state variables from every page', async () => {
+    const dashboard = createDashboard();
+    dashboard.config.token = 'token';
+    const variables = [
+        ...Array.from({ length: 30 }, (_, index) => ({ name: `A_VAR_${String(index).padStart(2, '0')}`, value: '' })),
+        { name: 'AD_FAILURE_DATA', value: '[]' },
+        { name: 'INSTANCE_CREATED', value: 'false' },
+        { name: 'SUCCESS_PATTERN_DATA', value: JSON.stringify([{ type: 'capacity_failure', ad: 'AD-1', timestamp: '2026-10-01T00:00:00.000Z' }]) }
+    ];
+    dashboard.githubAPI = async endpoint => {
+        const page = Number((endpoint.match(/&page=(\d+)/) || [])[1] || 1);
+        return { total_count: variables.length, variables: variables.slice((page - 1) * 30, page * 30) };
+    };
+
+    const bundle = await dashboard.buildDiagnosticBundle();
+    assert.deepStrictEqual(bundle.variables.map(variable => variable.name), ['AD_FAILURE_DATA', 'INSTANCE_CREATED', 'SUCCESS_PATTERN_DATA']);
+    assert.strictEqual(bundle.patterns.length, 1);
+    assert.strictEqual(bundle.metrics.successRate.total, 1);
+});
+
+test('getRegionalRecommendations moves weekday hours past UTC midnight to the next UTC day', () => {
+    const dashboard = createDashboard();
+    const regions = dashboard.parseYAML(readRepoFile('config/regions.yml')).regions;
+    const crons = region => dashboard.getRegionalRecommendations(regions, region).map(rec => rec.cron);
+
+    // 10:00-15:00 SGT stays on the same UTC day
+    assert.deepStrictEqual(crons('ap-singapore-1'), ['*/15 2-6 * * 1-5', '0 0-1,7-23 * * *', '*/20 2-6 * * 0,6']);
+    // 07:00-12:00 AEDT starts on the previous UTC day: Monday 07:00 is Sunday 20:00 UTC
+    assert.deepStrictEqual(crons('ap-sydney-1'), [
+        '*/15 20-23 * * 0-4', '*/15 0 * * 1-5', '0 1-19 * * *', '*/20 20-23 * * 5-6', '*/20 0 * * 0,6'
+    ]);
+    assert.match(dashboard.getRegionalRecommendations(regions, 'ap-singapore-1')[0].description, /^02:00-07:00 UTC \(10:00-15:00 /);
+});
+
+test('storeOfflineResponse keeps only responses fetched without a token', () => {
+    const dashboard = createDashboard();
+    const stored = [];
+    dashboard.withOfflineStore = (mode, operation) => {
+        operation({ put: record => stored.push(record.key) });
+        return Promise.resolve();
+    };
+
+    ['memory', 'session', 'encrypted'].forEach(mode => {
+        dashboard.config.tokenStorage = mode;
+        dashboard.storeOfflineResponse('auth application/vnd.github+json /repos/owner/repo/actions/variables?per_page=30', {});
+    });
+    dashboard.storeOfflineResponse('public application/vnd.github+json /repos/owner/repo/actions/runs/1/logs', {});
+    dashboard.storeOfflineResponse('public application/vnd.github+json /repos/owner/repo/actions/runs?per_page=30', {});
+    assert.deepStrictEqual(stored, ['application/vnd.github+json /repos/owner/repo/actions/runs?per_page=30']);
+});
+
+test('usage charts cover the whole usage month when it is an earlier one', () => {
+    const dashboard = createDashboard();
+    dashboard.usage = {
+        month: '2026-02',
+        runs: [
+            { day: '2026-02-01', workflow: 'Infrastructure Deployment', minutes: 2 },
+            { day: '2026-02-28', workflow: 'Infrastructure Deployment', minutes: 3 }
+        ]
+    };
+
+    const daily = dashboard.buildDailyUsageData();
+    assert.strictEqual(daily.labels.length, 28);
+    assert.deepStrictEqual([daily.datasets[0].data[0], daily.datasets[0].data[27]], [2, 3]);
+
+    const weekly = dashboard.buildWeeklyUsageData();
+    assert.strictEqual(weekly.labels.length, 5);
+    assert.deepStrictEqual(weekly.datasets[0].data, [2, 0, 0, 0, 3]);
+});